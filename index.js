@@ -1,8 +1,33 @@
 // index.js
 import fs from 'fs';
+import crypto from 'crypto';
 import fetch from 'node-fetch';
 import express from 'express';
 import dotenv from 'dotenv';
+import { createStorage } from './src/storage/index.js';
+import { createTokenCipher, parseKeys } from './src/tokenCrypto.js';
+import { createAuditLog, LOG_EVENTS } from './src/auditLog.js';
+import { createGuildConfig, DEFAULT_GUILD_SETTINGS } from './src/guildConfig.js';
+import { createBackupManager, withoutWithdrawn, WITHDRAWN_USERS_KEY } from './src/backups.js';
+import { parseUserFile, planUserImport, tagUntagged } from './src/userImport.js';
+import { createPermissions, withDefaultPermissions, isGrantTarget, COMMAND_TIERS, TIERS } from './src/permissions.js';
+import { createStateManager, STATE_COOKIE } from './src/oauthState.js';
+import { createMemberActions, grantedTokenHealth, ADD_FAILURE_REASONS } from './src/memberActions.js';
+import { createTokenScheduler } from './src/tokenScheduler.js';
+import { createIpPolicy, parseTrustProxy } from './src/ipPolicy.js';
+import { evaluateGates, describeGates, GATE_LABELS } from './src/gates.js';
+import { createRoleSync } from './src/roleSync.js';
+import { buildPanelMessage, validatePanel, normalizeColor, PANEL_DEFAULTS, PANEL_FIELDS } from './src/panels.js';
+import { createStatusRoleEngine, normalizeRule, validateRule, describeRule, STATUS_MATCH_TYPES, STATUS_ACTIVITIES } from './src/statusRoles.js';
+import { createRestoreJobs, jobCounts, failureBreakdown, jobEtaMs, jobReport, JOB_STATUSES } from './src/restoreJobs.js';
+import { createMetrics } from './src/metrics.js';
+import { EXPORT_FIELDS, EXPORT_FORMATS, parseExportFields, needsGuildMembers, packageExport } from './src/userExport.js';
+import { parseDay, needsMembers, applyMemberFilters, describeFilters, SORT_LABELS, TOKEN_STATUSES } from './src/userFilters.js';
+import { createAdminAuth, hashPassword } from './src/web/adminAuth.js';
+import { escapeHtml, renderAdminPage } from './src/web/html.js';
+import { renderMemberPage, renderSuccessPage, renderPendingPage, renderErrorPage, DEFAULT_THEME } from './src/web/memberPages.js';
+import { pickLocale } from './src/web/pageStrings.js';
+import { createDashboard } from './src/web/dashboard.js';
 import {
   Client,
   GatewayIntentBits,
@@ -14,7 +39,8 @@ import {
   ActionRowBuilder,
   ButtonBuilder,
   ComponentType,
-  MessageFlags
+  MessageFlags,
+  PermissionFlagsBits
 } from 'discord.js';
 
 dotenv.config();
@@ -25,52 +51,124 @@ dotenv.config();
   - CLIENT_ID
   - CLIENT_SECRET
   - REDIRECT_URI
-  - OWNER_IDS (comma separated)
-  - USERS_FILE (optional)
-  - CONFIG_FILE (optional)
-  - SESSION_SECRET (not used here, but may be needed if you re-add web UI)
+  - PUBLIC_URL (optional; base URL for /verify links, defaults to the REDIRECT_URI origin)
+  - STATE_SECRET (optional; signs OAuth state, falls back to a key derived from SESSION_SECRET, then from CLIENT_SECRET)
+  - OWNER_IDS (comma separated; always allowed to run every command, see /permissions for everyone else)
+  - STORAGE_BACKEND (optional: sqlite (default) or json)
+  - DATABASE_FILE (optional, sqlite backend)
+  - USERS_FILE (optional; json backend, and imported once into sqlite)
+  - CONFIG_FILE (optional; json backend, and imported once into sqlite)
+  - TOKEN_KEYS (keyId:base64 32-byte key, comma separated; encrypts OAuth tokens at rest)
+  - TOKEN_KEY_ID (optional; key used for new encryptions, defaults to the first in TOKEN_KEYS)
+  - TOKEN_REFRESH_CONCURRENCY (optional; parallel token refreshes, default 4)
+  - TOKEN_REFRESH_MARGIN_HOURS (optional; refresh this long before a token expires, default 24)
+  - TRUST_PROXY (optional; Express "trust proxy" for reading client IPs behind a reverse proxy: true, a hop count
+    or addresses/subnets; default loopback)
+  - IP_STORAGE (optional; raw (default), hash (keyed hash, still groups /useralts) or off)
+  - IP_HASH_KEY (optional; key for IP_STORAGE=hash, defaults to a key derived from CLIENT_SECRET)
+  - IP_RETENTION_DAYS (optional; drop stored IPs this long after the user's last verification, default 0 = keep)
+  - TRASH_RETENTION_DAYS (optional; how long removed users can be restored with /undo, default 7)
+  - BACKUP_DIR (optional, default ./data/backups)
+  - BACKUP_INTERVAL_HOURS (optional; scheduled snapshots, default 6, 0 disables)
+  - ROLE_SYNC_INTERVAL_HOURS (optional; re-sync the verified role with stored records, default 6, 0 disables)
+  - BACKUP_KEEP / BACKUP_MAX_AGE_DAYS (optional; retention, default 30 backups / 30 days)
+  - ADMIN_PASSWORD_HASH (login for the /admin dashboard and /upload; generate with `npm run hash-password -- "<password>"`)
+  - ADMIN_PASS (deprecated plaintext fallback for ADMIN_PASSWORD_HASH)
+  - SESSION_SECRET (signs admin session cookies; without it sessions don't survive a restart)
+  - METRICS_TOKEN (optional; if set, GET /metrics requires "Authorization: Bearer <token>")
 */
 
 const USERS_FILE = process.env.USERS_FILE || './data/users.json';
 const CONFIG_FILE = process.env.CONFIG_FILE || './data/config.json';
+const DATABASE_FILE = process.env.DATABASE_FILE || './data/bot.db';
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'sqlite';
+const BACKUP_DIR = process.env.BACKUP_DIR || './data/backups';
+const BACKUP_INTERVAL = Number(process.env.BACKUP_INTERVAL_HOURS ?? 6) * 60 * 60 * 1000;
+const ROLE_SYNC_INTERVAL = Number(process.env.ROLE_SYNC_INTERVAL_HOURS ?? 6) * 60 * 60 * 1000;
 const OWNER_IDS = (process.env.OWNER_IDS || '').split(',').map(s => s.trim()).filter(Boolean);
 
-// Hard-coded guild/role IDs you supplied earlier:
-const GUILD_ID = '1447283337130676407';
-const VERIFIED_ROLE_ID = '1447283337470283777';
-const MEDIA_ROLE_ID = '1451849497146687625';
+// Guild/role IDs from the original single-guild setup; seeded once into per-guild config (see /config)
+const LEGACY_GUILD_ID = '1447283337130676407';
+const LEGACY_VERIFIED_ROLE_ID = '1447283337470283777';
+const LEGACY_MEDIA_ROLE_ID = '1451849497146687625';
 
 // Page size for /userlist
 const PAGE_SIZE = 20;
+// Largest /export attachment; Discord's default upload limit for bots is 10 MiB
+const EXPORT_ATTACHMENT_LIMIT = 8 * 1024 * 1024;
 // Button expiration (ms)
 const BUTTON_TTL = 2 * 60 * 1000; // 2 minutes
+// Removed users stay restorable for this long
+const TRASH_RETENTION = Number(process.env.TRASH_RETENTION_DAYS || 7) * 24 * 60 * 60 * 1000;
+// Finished /addall jobs stay visible in /jobs for this long
+const JOB_RETENTION = 30 * 24 * 60 * 60 * 1000;
 
-// Utility: load & save JSON files
-function loadJson(file) {
-  try {
-    if (!fs.existsSync(file)) return {};
-    return JSON.parse(fs.readFileSync(file, 'utf8') || '{}');
-  } catch (err) {
-    console.error(`Failed to load JSON from ${file}:`, err);
-    return {};
-  }
+// Ensure data dirs exist
+if (!fs.existsSync('./data')) fs.mkdirSync('./data', { recursive: true });
+
+// All user/config reads and writes go through the storage layer (see src/storage)
+const storage = await createStorage({
+  backend: STORAGE_BACKEND,
+  usersFile: USERS_FILE,
+  configFile: CONFIG_FILE,
+  databaseFile: DATABASE_FILE
+});
+console.log(`🗄️ Using ${storage.backend} storage backend.`);
+
+const guildConfig = createGuildConfig({ storage });
+if (guildConfig.migrateLegacy({ guildId: LEGACY_GUILD_ID, verifiedRoleId: LEGACY_VERIFIED_ROLE_ID, mediaRoleId: LEGACY_MEDIA_ROLE_ID })) {
+  console.log(`📦 Moved single-guild settings to per-guild config for ${LEGACY_GUILD_ID}.`);
 }
-function saveJson(file, data) {
-  try {
-    fs.writeFileSync(file, JSON.stringify(data, null, 2), 'utf8');
-  } catch (err) {
-    console.error(`Failed to save JSON to ${file}:`, err);
-  }
+const permissions = createPermissions({ guildConfig, ownerIds: OWNER_IDS });
+
+// OAuth tokens are sealed before they reach storage and only opened right before an API call
+const tokenKeys = parseKeys(process.env.TOKEN_KEYS);
+const tokenCipher = createTokenCipher({
+  keys: tokenKeys,
+  activeKeyId: process.env.TOKEN_KEY_ID || tokenKeys.keys().next().value
+});
+
+// Tokens stored before TOKEN_KEYS was configured are sealed once at startup, so they don't stay
+// readable in the data file until someone runs /rotatekey
+if (tokenCipher.enabled) {
+  const sealed = storage.transaction(() => {
+    let count = 0;
+    for (const u of storage.listUsers()) {
+      if (!tokenCipher.hasPlaintext(u)) continue;
+      storage.putUser(tokenCipher.sealUser(u));
+      count++;
+    }
+    return count;
+  });
+  if (sealed) console.log(`🔐 Encrypted plaintext OAuth tokens of ${sealed} users.`);
 }
 
-// Ensure data dirs exist
-if (!fs.existsSync('./data')) fs.mkdirSync('./data', { recursive: true });
+// Versioned snapshots of users + config (see /backup)
+const backups = createBackupManager({
+  storage,
+  dir: BACKUP_DIR,
+  keep: Number(process.env.BACKUP_KEEP || 30),
+  maxAgeMs: Number(process.env.BACKUP_MAX_AGE_DAYS || 30) * 24 * 60 * 60 * 1000
+});
 
-let users = loadJson(USERS_FILE);
-let config = loadJson(CONFIG_FILE);
+// Signed OAuth state (CSRF protection + which guild/panel a callback belongs to).
+// Without STATE_SECRET the key is derived with its own label, never the session key itself.
+const stateManager = createStateManager({
+  secret: process.env.STATE_SECRET ||
+    crypto.createHmac('sha256', process.env.SESSION_SECRET || process.env.CLIENT_SECRET || '').update('oauth-state').digest()
+});
+// What is kept of the IP address seen at verification
+const ipPolicy = createIpPolicy({
+  mode: process.env.IP_STORAGE || 'raw',
+  key: process.env.IP_HASH_KEY || crypto.createHmac('sha256', process.env.CLIENT_SECRET || '').update('ip-hash').digest(),
+  retentionMs: Number(process.env.IP_RETENTION_DAYS || 0) * 24 * 60 * 60 * 1000
+});
+const PUBLIC_URL = (process.env.PUBLIC_URL || (process.env.REDIRECT_URI ? new URL(process.env.REDIRECT_URI).origin : '')).replace(/\/$/, '');
 
-// OAuth URL used by /send
-const OAUTH_URL = `https://discord.com/oauth2/authorize?client_id=${process.env.CLIENT_ID}&redirect_uri=${encodeURIComponent(process.env.REDIRECT_URI)}&response_type=code&scope=identify+guilds.join&prompt=consent`;
+// Discord authorize URL for one verification attempt
+function buildOAuthUrl(state) {
+  return `https://discord.com/oauth2/authorize?client_id=${process.env.CLIENT_ID}&redirect_uri=${encodeURIComponent(process.env.REDIRECT_URI)}&response_type=code&scope=identify+guilds.join&prompt=consent&state=${encodeURIComponent(state)}`;
+}
 
 // Discord client & REST for commands
 const client = new Client({
@@ -83,26 +181,293 @@ const client = new Client({
 });
 const rest = new REST({ version: '10' }).setToken(process.env.BOT_TOKEN);
 
+// Prometheus metrics (GET /metrics); the gauges are read at scrape time
+const metrics = createMetrics({ prefix: 'verifybot_' });
+const verificationsTotal = metrics.counter('verifications_total', 'Verifications by result (verified, pending approval, approved)');
+const callbackErrors = metrics.counter('callback_errors_total', 'Verification flows that ended on an error page, by type');
+const tokenRefreshes = metrics.counter('token_refreshes_total', 'Token refreshes by result (refreshed, invalid, failed, skipped)');
+const tokenRefreshDuration = metrics.histogram('token_refresh_duration_seconds', 'Duration of one token refresh, retries included');
+const roleFailures = metrics.counter('role_assignment_failures_total', 'Verified role grants that failed, by source and status');
+const interactionDuration = metrics.histogram('interaction_duration_seconds', 'Time from receiving an interaction to the end of its handler, by kind, name and outcome');
+metrics.gauge('discord_ready', '1 while the Discord client is connected and ready', () => (client.isReady() ? 1 : 0));
+metrics.gauge('discord_gateway_ping_seconds', 'Gateway heartbeat latency (no sample before the first heartbeat)', () => {
+  const ping = client.ws.ping;
+  return Number.isFinite(ping) && ping >= 0 ? ping / 1000 : [];
+});
+metrics.gauge('stored_users', 'Verified users in storage', () => storage.countUsers());
+// stats() scans every user, so the token gauges share one call per scrape
+let schedulerStats = { at: 0, value: null };
+function tokenSchedulerStats() {
+  if (Date.now() - schedulerStats.at > 1000) schedulerStats = { at: Date.now(), value: tokenScheduler.stats() };
+  return schedulerStats.value;
+}
+metrics.gauge('token_refresh_due_users', 'Users whose token refresh is due', () => tokenSchedulerStats().dueNow);
+metrics.gauge('token_refresh_running', '1 while a token refresh cycle is running', () => (tokenSchedulerStats().running ? 1 : 0));
+metrics.gauge('token_refresh_last_check_timestamp_seconds', 'When the refresh loop last looked for due users (0 = not yet)',
+  () => (Date.parse(tokenSchedulerStats().lastCheckAt) || 0) / 1000);
+metrics.gauge('restore_jobs', '/addall jobs by status', () => {
+  const jobs = restoreJobs.list();
+  return JOB_STATUSES.map(status => [{ status }, jobs.filter(j => j.status === status).length]);
+});
+
+const auditLog = createAuditLog({ client, guildConfig });
+const memberActions = createMemberActions({
+  storage,
+  client,
+  guildConfig,
+  tokenCipher,
+  auditLog,
+  botToken: process.env.BOT_TOKEN,
+  oauth: { clientId: process.env.CLIENT_ID, clientSecret: process.env.CLIENT_SECRET },
+  onRefresh: ({ status, durationMs }) => {
+    tokenRefreshes.inc({ result: status });
+    tokenRefreshDuration.observe({}, durationMs / 1000);
+  }
+});
+const tokenScheduler = createTokenScheduler({
+  storage,
+  memberActions,
+  onExpired: users => auditLog.tokenExpired({ users }),
+  concurrency: Math.max(1, Number(process.env.TOKEN_REFRESH_CONCURRENCY || 4)),
+  refreshBefore: Number(process.env.TOKEN_REFRESH_MARGIN_HOURS || 24) * 60 * 60 * 1000,
+  jitter: 6 * 60 * 60 * 1000, // spread refreshes of users verified together over 6 hours
+  tickMs: 5 * 60 * 1000
+});
+const statusRoles = createStatusRoleEngine({ guildConfig });
+const roleSync = createRoleSync({ storage, guildConfig });
+const restoreJobs = createRestoreJobs({ storage, memberActions, onProgress: updateJobProgress, onFinish: reportRestoreJob });
+
 // Register commands (keeps everything in one place)
 const commands = [
-  { name: 'send', description: 'Send verification embed' },
+  { name: 'send', description: 'Post a verification panel with the default settings in this channel', dm_permission: false },
+  {
+    name: 'panel',
+    description: 'Create and manage verification panels',
+    dm_permission: false,
+    options: [
+      {
+        name: 'create',
+        description: 'Post a new panel (unset options use the /config panel defaults)',
+        type: 1,
+        options: [
+          { name: 'channel', description: 'Channel to post in (default: this one)', type: 7, required: false },
+          { name: 'title', description: 'Embed title', type: 3, required: false, max_length: 256 },
+          { name: 'description', description: 'Embed text (use \\n for new lines)', type: 3, required: false },
+          { name: 'color', description: 'Embed color as a hex code, e.g. #00b894', type: 3, required: false },
+          { name: 'image', description: 'Image URL shown in the embed', type: 3, required: false },
+          { name: 'button_label', description: 'Button text', type: 3, required: false, max_length: 80 },
+          { name: 'button_emoji', description: 'Button emoji ("none" for no emoji)', type: 3, required: false },
+          { name: 'role', description: 'Extra role granted to users who verify through this panel', type: 8, required: false }
+        ]
+      },
+      {
+        name: 'edit',
+        description: 'Change a panel and update its posted message',
+        type: 1,
+        options: [
+          { name: 'id', description: 'Panel ID from /panel list', type: 3, required: true },
+          { name: 'title', description: 'Embed title', type: 3, required: false, max_length: 256 },
+          { name: 'description', description: 'Embed text (use \\n for new lines)', type: 3, required: false },
+          { name: 'color', description: 'Embed color as a hex code, e.g. #00b894', type: 3, required: false },
+          { name: 'image', description: 'Image URL shown in the embed ("none" to remove)', type: 3, required: false },
+          { name: 'button_label', description: 'Button text', type: 3, required: false, max_length: 80 },
+          { name: 'button_emoji', description: 'Button emoji ("none" to remove)', type: 3, required: false },
+          { name: 'role', description: 'Extra role granted to users who verify through this panel', type: 8, required: false },
+          { name: 'remove_role', description: 'Stop granting an extra role', type: 5, required: false }
+        ]
+      },
+      { name: 'list', description: 'Show this server\'s panels and their verification counts', type: 1 },
+      {
+        name: 'delete',
+        description: 'Delete a panel and its posted message',
+        type: 1,
+        options: [{ name: 'id', description: 'Panel ID from /panel list', type: 3, required: true }]
+      }
+    ]
+  },
   {
     name: 'setverified',
     description: 'Set channel for verified logs',
+    dm_permission: false,
     options: [{ name: 'channel', description: 'Channel to send logs', type: 7, required: true }]
   },
-  { name: 'userlist', description: 'Displays a paginated list of verified users' },
+  {
+    name: 'config',
+    description: 'View or edit this server\'s verification settings',
+    dm_permission: false,
+    options: [
+      { name: 'view', description: 'Show current settings', type: 1 },
+      {
+        name: 'verifiedrole',
+        description: 'Set the role granted after verification',
+        type: 1,
+        options: [{ name: 'role', description: 'Verified role', type: 8, required: true }]
+      },
+      {
+        name: 'logchannel',
+        description: 'Set the channel for verification logs',
+        type: 1,
+        options: [{ name: 'channel', description: 'Log channel', type: 7, required: true }]
+      },
+      {
+        name: 'panel',
+        description: 'Set the default text for new panels (use \\n for new lines)',
+        type: 1,
+        options: [
+          { name: 'title', description: 'Default panel title', type: 3, required: false },
+          { name: 'description', description: 'Default panel description', type: 3, required: false }
+        ]
+      },
+      {
+        name: 'branding',
+        description: 'Logo, color and return link of the pages members see after verifying',
+        type: 1,
+        options: [
+          { name: 'logo', description: 'Logo image URL (https; default: the server icon)', type: 3, required: false },
+          { name: 'color', description: 'Accent color as a hex code, e.g. #00b894', type: 3, required: false },
+          { name: 'return_url', description: 'Where the return button leads (https; default: this server in Discord)', type: 3, required: false },
+          { name: 'reset', description: 'Go back to the defaults', type: 5, required: false }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'statusroles',
+    description: 'Roles granted while a member\'s status or activity matches a rule',
+    dm_permission: false,
+    options: [
+      { name: 'list', description: 'Show the rules', type: 1 },
+      {
+        name: 'add',
+        description: 'Add a rule',
+        type: 1,
+        options: [
+          { name: 'match', description: 'Text (or regular expression) to look for', type: 3, required: true },
+          { name: 'role', description: 'Role to grant', type: 8, required: true },
+          {
+            name: 'match_type',
+            description: 'How to compare (default: contains)',
+            type: 3,
+            required: false,
+            choices: STATUS_MATCH_TYPES.map(t => ({ name: t, value: t }))
+          },
+          {
+            name: 'activity',
+            description: 'What to look at (default: custom status)',
+            type: 3,
+            required: false,
+            choices: Object.entries(STATUS_ACTIVITIES).map(([value, name]) => ({ name, value }))
+          },
+          { name: 'grace_minutes', description: 'Keep the role this long after the status stops matching', type: 4, required: false, min_value: 0, max_value: 1440 },
+          { name: 'announce_channel', description: 'Announce new role holders in this channel', type: 7, required: false }
+        ]
+      },
+      {
+        name: 'remove',
+        description: 'Remove a rule',
+        type: 1,
+        options: [{ name: 'id', description: 'Rule ID from /statusroles list', type: 3, required: true }]
+      }
+    ]
+  },
+  {
+    name: 'logevents',
+    description: 'Show or toggle which events are posted to the log channel',
+    dm_permission: false,
+    options: [
+      {
+        name: 'event',
+        description: 'Event type to toggle',
+        type: 3,
+        required: false,
+        choices: Object.entries(LOG_EVENTS).map(([value, { label }]) => ({ name: label, value }))
+      },
+      { name: 'enabled', description: 'Post this event type?', type: 5, required: false }
+    ]
+  },
+  {
+    name: 'userlist',
+    description: 'Displays a paginated list of users verified in this server',
+    options: [
+      { name: 'search', description: 'Name or user ID contains', type: 3, required: false },
+      { name: 'verified_after', description: 'Verified on or after (YYYY-MM-DD)', type: 3, required: false },
+      { name: 'verified_before', description: 'Verified on or before (YYYY-MM-DD)', type: 3, required: false },
+      {
+        name: 'token',
+        description: 'Token status from the last check',
+        type: 3,
+        required: false,
+        choices: Object.entries(TOKEN_STATUSES).map(([value, name]) => ({ name, value }))
+      },
+      {
+        name: 'membership',
+        description: 'Whether they are in this server',
+        type: 3,
+        required: false,
+        choices: [{ name: 'In this server', value: 'in' }, { name: 'Not in this server', value: 'out' }]
+      },
+      { name: 'role', description: 'Only members with this role', type: 8, required: false },
+      {
+        name: 'sort',
+        description: 'Sort order',
+        type: 3,
+        required: false,
+        choices: Object.entries(SORT_LABELS).map(([value, name]) => ({ name, value }))
+      },
+      { name: 'show_ip', description: 'Include stored IP addresses (hidden by default)', type: 5, required: false }
+    ]
+  },
   {
     name: 'userip',
     description: 'Shows stored IP for a user ID',
     options: [{ name: 'userid', description: 'The user ID to check', type: 3, required: true }]
   },
   { name: 'useralts', description: 'Detect possible alts by grouping users with the same IP' },
+  {
+    name: 'export',
+    description: 'Export verified users as CSV or JSON (tokens are never included)',
+    options: [
+      {
+        name: 'format',
+        description: 'File format (default csv)',
+        type: 3,
+        required: false,
+        choices: EXPORT_FORMATS.map(f => ({ name: f.toUpperCase(), value: f }))
+      },
+      { name: 'fields', description: `Comma separated: ${Object.keys(EXPORT_FIELDS).join(', ')}`, type: 3, required: false },
+      { name: 'include_ip', description: 'Include unredacted IP addresses', type: 5, required: false }
+    ]
+  },
   {
     name: 'addall',
-    description: 'Invites all verified users to a server',
+    description: 'Invites all users verified in this server to a server',
     options: [{ name: 'serverid', description: 'Server ID to add all users to', type: 3, required: true }]
   },
+  {
+    name: 'jobs',
+    description: 'Show and control member restore jobs started by /addall',
+    options: [
+      { name: 'list', description: 'Show recent jobs', type: 1 },
+      {
+        name: 'pause',
+        description: 'Pause a running or queued job',
+        type: 1,
+        options: [{ name: 'id', description: 'Job ID from /jobs list', type: 3, required: true }]
+      },
+      {
+        name: 'resume',
+        description: 'Resume a paused job',
+        type: 1,
+        options: [{ name: 'id', description: 'Job ID from /jobs list', type: 3, required: true }]
+      },
+      {
+        name: 'cancel',
+        description: 'Stop a job for good',
+        type: 1,
+        options: [{ name: 'id', description: 'Job ID from /jobs list', type: 3, required: true }]
+      }
+    ]
+  },
   {
     name: 'adduser',
     description: 'Invites one verified user to a server',
@@ -113,19 +478,121 @@ const commands = [
   },
   {
     name: 'removeuser',
-    description: 'Removes a user from users.json',
+    description: 'Removes a user from the verified list',
     options: [{ name: 'userid', description: 'User ID to remove', type: 3, required: true }]
   },
-  { name: 'removeall', description: 'Removes all users from users.json' },
+  { name: 'removeall', description: 'Removes all users verified in this server from the verified list' },
   {
     name: 'cleanup',
-    description: 'Removes all users from users.json whose OAuth tokens are invalid or expired'
-  }
+    description: 'Removes verified users whose authorization was revoked (access and refresh token rejected)',
+    options: [{ name: 'dryrun', description: 'Only list who would be removed (expired access tokens are still refreshed)', type: 5, required: false }]
+  },
+  { name: 'tokenhealth', description: 'Summary of stored OAuth token health (refreshes, expiry, failures)' },
+  {
+    name: 'backup',
+    description: 'List, create or restore backups of users and settings',
+    options: [
+      { name: 'list', description: 'Show available backups', type: 1 },
+      { name: 'create', description: 'Take a backup now', type: 1 },
+      {
+        name: 'restore',
+        description: 'Restore users and settings from a backup',
+        type: 1,
+        options: [{ name: 'id', description: 'Backup ID from /backup list (bot owners only: replaces every server\'s data)', type: 3, required: true }]
+      }
+    ]
+  },
+  {
+    name: 'undo',
+    description: 'Restores the most recently removed users',
+    options: [{ name: 'batch', description: 'Batch ID from a removal message (defaults to the latest)', type: 3, required: false }]
+  },
+  {
+    name: 'restoreuser',
+    description: 'Restores one removed user from the trash',
+    options: [{ name: 'userid', description: 'User ID to restore', type: 3, required: true }]
+  },
+  { name: 'rotatekey', description: 'Re-encrypts every stored OAuth token with the active TOKEN_KEY_ID' },
+  {
+    name: 'syncroles',
+    description: 'Grant or remove the verified role to match stored verifications',
+    dm_permission: false,
+    options: [{ name: 'dryrun', description: 'Only show what would change', type: 5, required: false }]
+  },
+  {
+    name: 'gates',
+    description: 'Requirements users must meet before they get the verified role',
+    dm_permission: false,
+    options: [
+      { name: 'view', description: 'Show the current requirements', type: 1 },
+      {
+        name: 'accountage',
+        description: 'Minimum Discord account age',
+        type: 1,
+        options: [{ name: 'days', description: 'Minimum age in days (0 turns it off)', type: 4, required: true, min_value: 0, max_value: 3650 }]
+      },
+      {
+        name: 'requiremember',
+        description: 'Only verify users who already joined this server',
+        type: 1,
+        options: [{ name: 'enabled', description: 'Require membership', type: 5, required: true }]
+      },
+      {
+        name: 'approval',
+        description: 'Moderators approve each verification in the log channel',
+        type: 1,
+        options: [{ name: 'enabled', description: 'Require manual approval', type: 5, required: true }]
+      },
+      {
+        name: 'deny',
+        description: 'Add a user to the denylist',
+        type: 1,
+        options: [{ name: 'user', description: 'User (or ID) who may not verify', type: 6, required: true }]
+      },
+      {
+        name: 'allow',
+        description: 'Remove a user from the denylist',
+        type: 1,
+        options: [{ name: 'user', description: 'User to remove', type: 6, required: true }]
+      }
+    ]
+  },
+  {
+    name: 'permissions',
+    description: 'Manage who can run the bot\'s commands in this server',
+    dm_permission: false,
+    options: [
+      { name: 'list', description: 'Show current grants', type: 1 },
+      {
+        name: 'grant',
+        description: 'Allow a role or user to run a command or tier (view, manage, destructive)',
+        type: 1,
+        options: [
+          { name: 'target', description: 'Tier (view, manage, destructive) or command name', type: 3, required: true },
+          { name: 'role', description: 'Role to grant', type: 8, required: false },
+          { name: 'user', description: 'User to grant', type: 6, required: false }
+        ]
+      },
+      {
+        name: 'revoke',
+        description: 'Remove a grant',
+        type: 1,
+        options: [
+          { name: 'target', description: 'Tier (view, manage, destructive) or command name', type: 3, required: true },
+          { name: 'role', description: 'Role to revoke', type: 8, required: false },
+          { name: 'user', description: 'User to revoke', type: 6, required: false }
+        ]
+      }
+    ]
+  },
+  // Open to every member: their own data only
+  { name: 'mydata', description: 'Show what this bot stores about you' },
+  { name: 'unverify', description: 'Withdraw your verification: revoke access, remove the role and delete your data' }
 ];
 
 (async () => {
   try {
-    await rest.put(Routes.applicationCommands(process.env.CLIENT_ID), { body: commands });
+    await rest.put(Routes.applicationCommands(process.env.CLIENT_ID), { body: withDefaultPermissions(commands) });
     console.log('✅ Commands registered (global).');
   } catch (err) {
     console.error('Failed to register commands:', err);
@@ -135,127 +602,406 @@ const commands = [
 client.once('ready', () => {
   console.log(`✅ Bot ready: ${client.user?.tag}`);
   
-  // Start token refresh interval (every 5 hours)
-  const REFRESH_INTERVAL = 5 * 60 * 60 * 1000; // 5 hours in milliseconds
-  setInterval(refreshAllTokens, REFRESH_INTERVAL);
-  console.log('🔄 Token refresh interval started (every 5 hours)');
-  
-  // Run initial refresh after 1 minute (to avoid startup spam)
-  setTimeout(refreshAllTokens, 60000);
+  // Refresh tokens as they near expiry (first check after 1 minute, to avoid startup spam)
+  tokenScheduler.start(60000);
+  console.log('🔄 Token refresh scheduler started');
+
+  // Scheduled backups
+  if (BACKUP_INTERVAL > 0) {
+    setInterval(runScheduledBackup, BACKUP_INTERVAL);
+    console.log(`💾 Backup interval started (every ${BACKUP_INTERVAL / 3600000} hours)`);
+  }
+
+  // Pick up restore jobs interrupted by a restart
+  restoreJobs.start();
+
+  // Verified role vs. stored records (after 2 minutes, then on the interval)
+  if (ROLE_SYNC_INTERVAL > 0) {
+    setTimeout(() => syncAllVerifiedRoles('startup'), 2 * 60 * 1000);
+    setInterval(() => syncAllVerifiedRoles('scheduled'), ROLE_SYNC_INTERVAL);
+  }
+
+  // Catch up on presence changes missed while offline (now and every 30 minutes)
+  reconcileStatusRoles();
+  setInterval(reconcileStatusRoles, 30 * 60 * 1000);
+
+  // Purge trash entries, old jobs and IPs past their retention windows (now and hourly)
+  purgeExpiredData();
+  setInterval(purgeExpiredData, 60 * 60 * 1000);
 });
 
+// Helper: take a scheduled snapshot (errors are logged, never thrown into the timer)
+function runScheduledBackup() {
+  try {
+    const b = backups.create('scheduled');
+    console.log(`💾 Backup ${b.id} created (${b.users} users)`);
+  } catch (err) {
+    console.error('Scheduled backup failed:', err);
+  }
+}
+
+// Helper: count a verified role grant that failed (for /metrics); not_member/not_configured aren't failures
+function recordRoleResult(source, role) {
+  if (role.status === 'failed' || role.status === 'guild_unavailable') roleFailures.inc({ source, status: role.status });
+}
+
+// Helper: sync the verified role in every guild that has one (errors are logged per guild)
+async function syncAllVerifiedRoles(trigger) {
+  for (const guild of client.guilds.cache.values()) {
+    if (!guildConfig.get(guild.id).verified_role) continue;
+    try {
+      const result = await roleSync.sync(guild);
+      if (result.error) {
+        console.warn(`🔁 Role sync skipped in ${guild.name}: ${result.error}`);
+        continue;
+      }
+      console.log(`🔁 Role sync in ${guild.name}: +${result.granted.length} -${result.removed.length}, ${result.failed.length} failed`);
+      if (result.failed.length) roleFailures.inc({ source: 'sync', status: 'failed' }, result.failed.length);
+      await auditLog.roleSync({ guildId: guild.id, ...result, trigger });
+    } catch (err) {
+      console.warn(`Role sync failed in ${guild.name}:`, err?.message || err);
+    }
+  }
+}
+
+// Helper: re-check status roles in every guild (errors are logged per guild)
+async function reconcileStatusRoles() {
+  for (const guild of client.guilds.cache.values()) {
+    try {
+      const checked = await statusRoles.reconcile(guild);
+      if (checked) console.log(`🎭 Reconciled status roles for ${checked} members in ${guild.name}`);
+    } catch (err) {
+      console.warn(`Status role reconcile failed in ${guild.name}:`, err?.message || err);
+    }
+  }
+}
+
+// Helper: one-line summary of a backup diff
+function describeBackupDiff(diff) {
+  return `+${diff.added.length} added, -${diff.removed.length} removed, ~${diff.changed.length} changed`;
+}
+
+// Helper: drop removed users that can no longer be restored, old jobs, and IPs the policy no longer allows
+function purgeExpiredData() {
+  const purged = storage.purgeTrash(new Date(Date.now() - TRASH_RETENTION).toISOString());
+  if (purged) console.log(`🧺 Purged ${purged} removed users past the retention window.`);
+  const jobs = restoreJobs.purge(new Date(Date.now() - JOB_RETENTION).toISOString());
+  if (jobs) console.log(`🧺 Purged ${jobs} finished restore jobs.`);
+
+  let ips = 0;
+  storage.transaction(() => {
+    for (const user of storage.listUsers()) {
+      if (ipPolicy.enforce(user)) {
+        storage.putUser(user);
+        ips++;
+      }
+    }
+  });
+  if (ips) console.log(`🧺 Applied the IP policy (${ipPolicy.mode}) to ${ips} users.`);
+}
+
+// Helper: one-line status of a restore job
+function describeJob(job) {
+  const c = jobCounts(job);
+  const target = client.guilds.cache.get(job.targetGuildId)?.name || job.targetGuildId;
+  return `\`${job.id}\` · **${job.status}** → ${target} · ✅ ${c.added} · 👥 ${c.already_member} · ❌ ${c.failed} · ⏭️ ${c.skipped} · ⏳ ${c.pending} of ${job.items.length}`;
+}
+
+// Helper: "1h 5m", "3m 20s", "45s"
+function formatDuration(ms) {
+  const s = Math.round(ms / 1000);
+  if (s >= 3600) return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+  if (s >= 60) return `${Math.floor(s / 60)}m ${s % 60}s`;
+  return `${s}s`;
+}
+
+// Helper: progress embed for a restore job (processed/total, ETA, result and failure breakdown)
+function jobProgressEmbed(job) {
+  const c = jobCounts(job);
+  const total = job.items.length;
+  const processed = total - c.pending;
+  const eta = jobEtaMs(job);
+  const target = client.guilds.cache.get(job.targetGuildId)?.name || job.targetGuildId;
+  const colors = { running: '#3498db', queued: '#95a5a6', paused: '#f1c40f', completed: '#2ecc71', cancelled: '#95a5a6', failed: '#e74c3c' };
+  const embed = new EmbedBuilder()
+    .setTitle(`📥 Restoring members → ${target}`)
+    .setDescription(
+      `**${processed}/${total}** processed (${total ? Math.floor((processed / total) * 100) : 100}%) · **${job.status}**` +
+      (eta !== null ? ` · ETA ~${formatDuration(eta)}` : '')
+    )
+    .addFields(
+      { name: '✅ Added', value: String(c.added), inline: true },
+      { name: '👥 Already members', value: String(c.already_member), inline: true },
+      { name: '❌ Failed', value: String(c.failed), inline: true }
+    )
+    .setColor(colors[job.status] || '#3498db')
+    .setFooter({ text: `Job ${job.id} · /jobs to pause or cancel` })
+    .setTimestamp();
+  const reasons = failureBreakdown(job);
+  if (reasons.length) {
+    embed.addFields({ name: 'Failures', value: reasons.map(([r, n]) => `${ADD_FAILURE_REASONS[r] || r}: **${n}**`).join('\n') });
+  }
+  if (c.skipped) embed.addFields({ name: '⏭️ Skipped (no longer verified)', value: String(c.skipped), inline: true });
+  return embed;
+}
+
+// Helper: edit a restore job's progress message, if it has one
+async function updateJobProgress(job) {
+  if (!job.progressMessage) return;
+  const channel = await client.channels.fetch(job.progressMessage.channelId).catch(() => null);
+  await channel?.messages.edit(job.progressMessage.messageId, { embeds: [jobProgressEmbed(job)] })
+    .catch(e => console.warn(`Failed to update progress of restore job ${job.id}:`, e?.message || e));
+}
+
+// Helper: where a restore job's progress and per-user report go: the requesting server's log channel,
+// else the requester's DMs. The report lists user IDs and Discord's error details, so never a public channel.
+async function restoreReportChannel(job) {
+  const logChannelId = job.sourceGuildId ? guildConfig.get(job.sourceGuildId).log_channel : null;
+  const logChannel = logChannelId ? await client.channels.fetch(logChannelId).catch(() => null) : null;
+  if (logChannel) return logChannel;
+  const requester = await client.users.fetch(job.requestedBy).catch(() => null);
+  return requester ? requester.createDM().catch(() => null) : null;
+}
+
+// Helper: post a finished restore job's result (with a per-user CSV report) privately, and to the audit log
+async function reportRestoreJob(job) {
+  const c = jobCounts(job);
+  await updateJobProgress(job);
+  await auditLog.restore({
+    guildId: job.sourceGuildId,
+    targetGuildId: job.targetGuildId,
+    by: job.requestedBy,
+    success: c.added,
+    alreadyMember: c.already_member,
+    failed: c.failed,
+    total: job.items.length
+  });
+  const channel = await restoreReportChannel(job);
+  await channel?.send({
+    content: `<@${job.requestedBy}> 📥 Restore job finished: ${describeJob(job)}`,
+    files: [{ attachment: Buffer.from(jobReport(job)), name: `restore-${job.id}.csv` }],
+    allowedMentions: { users: [job.requestedBy] }
+  }).catch(e => console.warn(`Failed to report restore job ${job.id}:`, e?.message || e));
+}
+
+// Helper: members can only be restored into guilds the bot is in, that the invoker manages
+// (owners excepted) and where the bot may add members. Returns an error message or null.
+async function checkRestoreTarget(interaction, guildId) {
+  const guild = client.guilds.cache.get(guildId);
+  if (!guild) return `❌ The bot isn't in server \`${guildId}\`.`;
+  if (!permissions.isOwner(interaction.user.id)) {
+    const member = await guild.members.fetch(interaction.user.id).catch(() => null);
+    if (!member?.permissions.has(PermissionFlagsBits.ManageGuild)) {
+      return `❌ You need the Manage Server permission in **${guild.name}** to add members there.`;
+    }
+  }
+  if (!guild.members.me?.permissions.has(PermissionFlagsBits.CreateInstantInvite)) {
+    return `❌ I need the Create Invite permission in **${guild.name}** to add members.`;
+  }
+  return null;
+}
+
+// Helper: the signed /verify link behind a panel's button (shared by everyone who sees the message;
+// /verify mints a per-visitor state from it)
+function panelUrl(guildId, panelId) {
+  return `${PUBLIC_URL}/verify?panel=${encodeURIComponent(stateManager.signPanel({ guildId, panelId }))}`;
+}
+
+// Helper: panel fields set in /panel create|edit options. Returns { fields } or { error }.
+// "none" clears the image or emoji; remove_role clears the extra role.
+function readPanelOptions(interaction) {
+  const fields = {};
+  for (const name of PANEL_FIELDS.filter(f => f !== 'role')) {
+    const value = interaction.options.getString(name);
+    if (value !== null) fields[name] = value.trim();
+  }
+  if (fields.description) fields.description = fields.description.replace(/\\n/g, '\n');
+  if (fields.color) fields.color = normalizeColor(fields.color);
+  if (fields.image?.toLowerCase() === 'none') fields.image = null;
+  if (fields.button_emoji?.toLowerCase() === 'none') fields.button_emoji = null;
+
+  const role = interaction.options.getRole('role');
+  if (role) {
+    if (role.id === interaction.guildId || role.managed) return { error: `${role} can't be granted by a panel.` };
+    // Don't let a panel hand out roles above the invoker's own
+    if (!permissions.isOwner(interaction.user.id) && interaction.guild.ownerId !== interaction.user.id &&
+      role.position >= interaction.member.roles.highest.position) {
+      return { error: `${role} is not below your highest role.` };
+    }
+    fields.role = role.id;
+  }
+  if (interaction.options.getBoolean('remove_role')) fields.role = null;
+  return { fields };
+}
+
+// Helper: post a new panel in a channel and remember it (/panel create and /send)
+async function createPanel(interaction, channel, fields) {
+  const guildId = interaction.guildId;
+  const settings = guildConfig.get(guildId);
+  const panel = {
+    id: crypto.randomBytes(3).toString('hex'),
+    title: settings.panel_title,
+    description: settings.panel_description,
+    ...PANEL_DEFAULTS,
+    ...fields,
+    channelId: channel.id,
+    messageId: null,
+    verifications: 0,
+    createdBy: interaction.user.id,
+    createdAt: new Date().toISOString()
+  };
+  const error = validatePanel(panel);
+  if (error) return interaction.reply({ content: `❌ ${error}`, flags: MessageFlags.Ephemeral });
+
+  const message = await channel.send(buildPanelMessage(panel, panelUrl(guildId, panel.id))).catch((e) => {
+    console.warn(`Failed to post panel ${panel.id} in ${channel.id}:`, e?.message || e);
+    return null;
+  });
+  if (!message) {
+    return interaction.reply({ content: `❌ Couldn't post the panel in ${channel} (check my permissions there and the button emoji).`, flags: MessageFlags.Ephemeral });
+  }
+  panel.messageId = message.id;
+  guildConfig.update(guildId, (s) => {
+    s.panels = [...s.panels, panel];
+  });
+  return interaction.reply({ content: `✅ Panel \`${panel.id}\` posted in ${channel}. Change it with \`/panel edit id:${panel.id}\`.`, flags: MessageFlags.Ephemeral });
+}
+
+// Helper: count a completed verification for the panel it came through
+function countPanelVerification(guildId, panelId) {
+  if (!panelId || !guildConfig.get(guildId).panels.some(p => p.id === panelId)) return;
+  guildConfig.update(guildId, (s) => {
+    s.panels = s.panels.map(p => (p.id === panelId ? { ...p, verifications: (p.verifications || 0) + 1 } : p));
+  });
+}
+
 // Helper: format username robustly (avoid undefined#undefined)
 function formatUserDisplay(userData) {
-  // userData is the object saved in users.json (we stored .username as a string already),
+  // userData is the stored user record (we stored .username as a string already),
   // but be defensive: userData may sometimes be incomplete.
   if (!userData) return 'UnknownUser';
   if (typeof userData.username === 'string' && userData.username.length > 0) return userData.username;
   return 'UnknownUser';
 }
 
-// Helper: refresh all user tokens
-async function refreshAllTokens() {
-  console.log('🔄 Starting token refresh cycle...');
-  users = loadJson(USERS_FILE);
-  const entries = Object.entries(users);
-  
-  if (entries.length === 0) {
-    console.log('ℹ️ No users to refresh.');
-    return;
+// Helper: the stored users a command may act on: everyone who verified through this server.
+// Outside a server only owners get past the permission check, and they act on every user.
+function scopedUsers(interaction) {
+  return interaction.guildId ? storage.queryUsers({ guildId: interaction.guildId }).users : storage.listUsers();
+}
+
+// Helper: whether a stored user record is within the command's scope (see scopedUsers)
+function inScope(interaction, user) {
+  return Boolean(user) && (!interaction.guildId || Boolean(user.guilds?.[interaction.guildId]));
+}
+
+// Helper: /tokenhealth summary of the token_health of the given users
+function buildTokenHealthEmbed(users) {
+  const now = Date.now();
+  const day = 24 * 60 * 60 * 1000;
+  const health = u => u.token_health || {};
+  const count = fn => users.filter(fn).length;
+  const failing = users
+    .filter(u => health(u).consecutiveFailures > 0)
+    .sort((a, b) => health(b).consecutiveFailures - health(a).consecutiveFailures);
+
+  const embed = new EmbedBuilder()
+    .setTitle('🩺 Token health')
+    .addFields(
+      { name: 'Users', value: String(users.length), inline: true },
+      { name: 'No refresh token', value: String(count(u => !u.refresh_token)), inline: true },
+      { name: 'Never refreshed', value: String(count(u => u.refresh_token && !health(u).lastRefreshed)), inline: true },
+      { name: 'Refreshed in 24h', value: String(count(u => Date.parse(health(u).lastRefreshed) > now - day)), inline: true },
+      { name: 'Access token expired', value: String(count(u => Date.parse(health(u).expires_at) <= now)), inline: true },
+      { name: 'Expiring within 24h', value: String(count(u => { const t = Date.parse(health(u).expires_at); return t > now && t <= now + day; })), inline: true },
+      { name: 'Failing refreshes', value: String(failing.length), inline: true }
+    )
+    .setColor(failing.length ? '#e67e22' : '#2ecc71');
+
+  if (failing.length) {
+    const lines = failing.slice(0, 10).map(u =>
+      `• **${formatUserDisplay(u)}** \`${u.id}\` — ${health(u).consecutiveFailures}× · ${health(u).lastError?.error || 'unknown error'}`);
+    if (failing.length > 10) lines.push(`…and ${failing.length - 10} more`);
+    embed.addFields({ name: 'Most failures', value: lines.join('\n').substring(0, 1024) });
   }
-  
-  let refreshed = 0;
-  let deleted = 0;
-  
-  for (const [userId, userData] of entries) {
-    // Delete users without refresh tokens
-    if (!userData.refresh_token) {
-      console.log(`🗑️ Deleting user ${userId} (no refresh token)`);
-      delete users[userId];
-      deleted++;
-      continue;
-    }
-    
-    try {
-      const tokenRes = await fetch('https://discord.com/api/oauth2/token', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        body: new URLSearchParams({
-          client_id: process.env.CLIENT_ID,
-          client_secret: process.env.CLIENT_SECRET,
-          grant_type: 'refresh_token',
-          refresh_token: userData.refresh_token
-        })
-      });
-      
-      const tokenData = await tokenRes.json();
-      
-      // Delete users whose token refresh failed
-      if (!tokenData || !tokenData.access_token) {
-        console.warn(`🗑️ Deleting user ${userId} (token refresh failed):`, tokenData);
-        delete users[userId];
-        deleted++;
-        continue;
-      }
-      
-      // Update access token and refresh token (Discord may provide a new refresh token)
-      users[userId].access_token = tokenData.access_token;
-      // Always save refresh token - use new one if provided, otherwise keep existing
-      if (tokenData.refresh_token) {
-        users[userId].refresh_token = tokenData.refresh_token;
-      }
-      // Ensure refresh_token is always saved (preserve existing if no new one provided)
-      if (!users[userId].refresh_token) {
-        users[userId].refresh_token = userData.refresh_token;
-      }
-      refreshed++;
-    } catch (err) {
-      // Delete users whose token refresh threw an error
-      console.error(`🗑️ Deleting user ${userId} (error during refresh):`, err);
-      delete users[userId];
-      deleted++;
-    }
+  const { running, dueNow, lastCycle: c, totals } = tokenScheduler.stats();
+  embed.addFields({
+    name: 'Refresh scheduler',
+    value: [
+      `${running ? '🔄 Refreshing now' : '💤 Idle'} · due now: **${dueNow}**`,
+      c ? `Last cycle: ${c.due} due in ${formatDuration(c.durationMs)} · ✅ ${c.refreshed} · ⚠️ ${c.failed} failed · ⏭️ ${c.skipped} · 🗑️ ${c.deleted}` : 'No refresh cycle has run yet.',
+      `Since start: ${totals.cycles} cycles · ${totals.refreshed} refreshed · ${totals.failed} failed · ${totals.deleted} deleted`
+    ].join('\n')
+  });
+  if (c) embed.setFooter({ text: 'Last refresh cycle' }).setTimestamp(new Date(c.startedAt));
+  return embed;
+}
+
+// /userlist filter state behind the pagination buttons (query id -> filters)
+const userlistQueries = new Map();
+
+// Helper: all guild members, fetched only when the cache is incomplete
+async function guildMembers(guild) {
+  if (!guild) return new Map();
+  return guild.members.cache.size >= guild.memberCount ? guild.members.cache : guild.members.fetch();
+}
+
+// Helper: one page of users matching the /userlist filters -> { total, users }
+async function queryUserlist(filters, page) {
+  const query = {
+    search: filters.search,
+    verifiedAfter: parseDay(filters.after),
+    verifiedBefore: parseDay(filters.before, true),
+    guildId: filters.guildId,
+    sort: filters.sort
+  };
+  if (!filters.token && !needsMembers(filters)) {
+    return storage.queryUsers({ ...query, limit: PAGE_SIZE, offset: (page - 1) * PAGE_SIZE });
   }
-  
-  // Always save the file after processing (in case users were deleted)
-  saveJson(USERS_FILE, users);
-  
-  console.log(`✅ Token refresh complete: ${refreshed} refreshed, ${deleted} deleted`);
+  // Token status and membership aren't stored columns, so these filters page in memory
+  const members = needsMembers(filters) ? await guildMembers(client.guilds.cache.get(filters.guildId)) : null;
+  const matched = applyMemberFilters(storage.queryUsers(query).users, filters, members);
+  return { total: matched.length, users: matched.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE) };
 }
 
 // Helper: build a page (embed + components) for userlist
-function buildUserlistPage(usersObj, page, invokerId) {
-  const all = Object.values(usersObj);
-  const total = all.length;
+async function buildUserlistPage(page, invokerId, filters = {}) {
+  let { total, users: slice } = await queryUserlist(filters, Math.max(1, page));
   const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
-  page = Math.min(Math.max(1, page), pages);
-
-  const start = (page - 1) * PAGE_SIZE;
-  const slice = all.slice(start, start + PAGE_SIZE);
+  if (page < 1 || page > pages) {
+    page = Math.min(Math.max(1, page), pages);
+    ({ users: slice } = await queryUserlist(filters, page));
+  }
+  const summary = describeFilters(filters);
 
   const lines = slice.map(u => {
     const name = formatUserDisplay(u);
     const id = u.id || 'UnknownID';
-    const ip = u.ip || 'Unknown';
-    return `• **${name}** | ID: \`${id}\` | IP: \`${ip}\``;
+    // IPs only on request (show_ip)
+    return `• **${name}** | ID: \`${id}\`` + (filters.showIp ? ` | IP: \`${ipPolicy.display(u.ip)}\`` : '');
   });
 
   const embed = new EmbedBuilder()
     .setTitle(`👥 Verified Users — page ${page}/${pages}`)
-    .setDescription(lines.length ? lines.join('\n') : 'No users on this page.')
-    .setFooter({ text: `Total verified: ${total}` })
+    .setDescription(lines.length ? lines.join('\n') : (summary ? 'No users match these filters.' : 'No users on this page.'))
+    .setFooter({ text: (summary ? `Matching: ${total} of ${storage.queryUsers({ guildId: filters.guildId, limit: 1 }).total} · ${summary}` : `Total verified: ${total}`).substring(0, 2048) })
     .setColor('#3498db');
 
-  // Buttons with encoded page & invoker id. Use customId format: userlist:<page>:<invokerId>:<timestamp>
+  // Buttons with encoded page, invoker id and filter state.
+  // customId format: userlist_<prev|next>:<page>:<invokerId>:<timestamp>:<queryId>
   const timestamp = Date.now();
+  const queryId = crypto.randomBytes(6).toString('hex');
+  userlistQueries.set(queryId, filters);
+  setTimeout(() => userlistQueries.delete(queryId), BUTTON_TTL).unref();
+
   const prevBtn = new ButtonBuilder()
-    .setCustomId(`userlist_prev:${page - 1}:${invokerId}:${timestamp}`)
+    .setCustomId(`userlist_prev:${page - 1}:${invokerId}:${timestamp}:${queryId}`)
     .setLabel('⬅️ Previous')
     .setStyle(ButtonStyle.Primary)
     .setDisabled(page <= 1);
 
   const nextBtn = new ButtonBuilder()
-    .setCustomId(`userlist_next:${page + 1}:${invokerId}:${timestamp}`)
+    .setCustomId(`userlist_next:${page + 1}:${invokerId}:${timestamp}:${queryId}`)
     .setLabel('➡️ Next')
     .setStyle(ButtonStyle.Primary)
     .setDisabled(page >= pages);
@@ -265,21 +1011,146 @@ function buildUserlistPage(usersObj, page, invokerId) {
   return { embed, components: [row], meta: { page, pages, timestamp } };
 }
 
+// Pending destructive actions waiting for a Confirm/Cancel press (action id -> async run(buttonInteraction))
+const pendingActions = new Map();
+
+// Helper: Confirm/Cancel buttons for a destructive action. customId format: confirm:<actionId>:<invokerId>:<timestamp>
+function buildConfirmRow(invokerId, run) {
+  const actionId = crypto.randomBytes(6).toString('hex');
+  const timestamp = Date.now();
+  pendingActions.set(actionId, run);
+  setTimeout(() => pendingActions.delete(actionId), BUTTON_TTL).unref();
+
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`confirm:${actionId}:${invokerId}:${timestamp}`)
+      .setLabel('🗑️ Confirm')
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId(`cancel:${actionId}:${invokerId}:${timestamp}`)
+      .setLabel('Cancel')
+      .setStyle(ButtonStyle.Secondary)
+  );
+}
+
+// Helper: Approve/Deny buttons of an approval request. customId format: gate:<approve|deny>:<guildId>:<userId>
+// (no expiry: requests wait in the log channel until a moderator acts)
+function buildApprovalRow(guildId, userId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`gate:approve:${guildId}:${userId}`).setLabel('✅ Approve').setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId(`gate:deny:${guildId}:${userId}`).setLabel('Deny').setStyle(ButtonStyle.Danger)
+  );
+}
+
+// Helper: handle an approve/deny button press on an approval request
+async function handleApprovalButton(interaction) {
+  const [, action, guildId, userId] = interaction.customId.split(':');
+  const allowed = interaction.guildId === guildId &&
+    permissions.allows({ guildId, userId: interaction.user.id, member: interaction.member }, 'approvals');
+  if (!allowed) {
+    return interaction.reply({ content: '❌ You are not authorized to review verifications.', flags: MessageFlags.Ephemeral });
+  }
+
+  const user = storage.getUser(userId);
+  const embed = EmbedBuilder.from(interaction.message.embeds[0]);
+  if (user?.guilds?.[guildId]?.approval !== 'pending') {
+    embed.addFields({ name: 'Decision', value: 'Already handled (or the user unverified).' });
+    return interaction.update({ embeds: [embed], components: [] });
+  }
+
+  if (action === 'approve') {
+    user.guilds[guildId] = { ...user.guilds[guildId], approval: 'approved', reviewedBy: interaction.user.id };
+    storage.putUser(user);
+    const role = await memberActions.assignVerifiedRole(guildId, userId);
+    recordRoleResult('approval', role);
+    verificationsTotal.inc({ result: 'approved' });
+    countPanelVerification(guildId, user.guilds[guildId].panelId);
+    console.log(`📝 ${interaction.user.tag} approved ${userId} in guild ${guildId} (role: ${role.status})`);
+    embed.addFields({ name: 'Decision', value: `✅ Approved by <@${interaction.user.id}> · role: ${role.status}${role.error ? ` (${role.error})` : ''}` });
+    await interaction.update({ embeds: [embed], components: [] });
+    await auditLog.verified({ guildId, user, username: user.username, role });
+    return;
+  }
+
+  // Denied: forget this guild's verification; the record goes once no guild is left
+  delete user.guilds[guildId];
+  if (Object.keys(user.guilds).length) storage.putUser(user);
+  else storage.deleteUser(userId);
+  console.log(`📝 ${interaction.user.tag} denied ${userId} in guild ${guildId}`);
+  embed.addFields({ name: 'Decision', value: `❌ Denied by <@${interaction.user.id}>` });
+  return interaction.update({ embeds: [embed], components: [] });
+}
+
+// Helper: embed listing users (for confirmations and dry runs)
+function buildUserListEmbed(title, list, color) {
+  const lines = list.map(u => `• **${formatUserDisplay(u)}** | ID: \`${u.id}\``);
+  return new EmbedBuilder()
+    .setTitle(title)
+    .setDescription((lines.join('\n') || 'Nobody.').substring(0, 4096))
+    .setFooter({ text: `Total: ${list.length}` })
+    .setColor(color);
+}
+
+// Helper: /mydata view of a user's own record (tokens are never shown, only whether they're stored)
+function buildMyDataEmbed(user) {
+  const guilds = Object.entries(user.guilds || {}).map(([gid, g]) =>
+    `• ${client.guilds.cache.get(gid)?.name || gid} — <t:${Math.floor(Date.parse(g.verifiedAt) / 1000)}:f>`);
+  const health = user.token_health || {};
+  return new EmbedBuilder()
+    .setTitle('🗂️ Your stored data')
+    .addFields(
+      { name: 'User ID', value: `\`${user.id}\``, inline: true },
+      { name: 'Username', value: user.username || 'UnknownUser', inline: true },
+      { name: 'Last verified', value: user.verifiedAt ? `<t:${Math.floor(Date.parse(user.verifiedAt) / 1000)}:f>` : 'Unknown', inline: true },
+      { name: 'Verified in', value: (guilds.join('\n') || 'No servers').substring(0, 1024), inline: false },
+      { name: 'IP address at verification', value: !user.ip ? 'Not stored' : ipPolicy.isHashed(user.ip) ? 'Stored only as a keyed hash' : `\`${user.ip}\``, inline: true },
+      { name: 'Avatar', value: user.avatar ? `\`${user.avatar}\`` : 'Default', inline: true },
+      {
+        name: 'Discord access',
+        value: `${user.access_token ? 'OAuth tokens stored (encrypted) so staff can add you back to servers' : 'No OAuth tokens stored'}` +
+          (health.lastRefreshed ? `\nLast refreshed <t:${Math.floor(Date.parse(health.lastRefreshed) / 1000)}:R>` : ''),
+        inline: false
+      }
+    )
+    .setFooter({ text: 'Use /unverify to revoke access and delete all of this.' })
+    .setColor('#3498db');
+}
+
+// Helper: one-line summary of memberActions.unverify's result
+function describeUnverify(result) {
+  const roles = result.roles.filter(r => r.status === 'removed').length;
+  return `OAuth access ${result.revoked ? 'revoked' : 'could not be revoked with Discord (it will stop working once it expires)'}, ` +
+    `verified role removed in ${roles} server(s), stored data deleted.`;
+}
+
+// Helper: move users to the trash and log it; returns the trash batch
+// guildOnly: take only this server's verification (outside a server, owners remove whole records)
+function removeUsers(interaction, ids, reason, { guildOnly = false } = {}) {
+  return memberActions.removeUsers(ids, { reason, by: interaction.user.id, guildId: interaction.guildId, guildOnly: guildOnly && Boolean(interaction.guildId) });
+}
+
 // Interaction handler includes slash commands & button presses
 client.on('interactionCreate', async (interaction) => {
+  const endTimer = interactionDuration.startTimer();
+  let outcome = 'ok';
   try {
-    // Button interactions (pagination)
+    // Button interactions (pagination, confirmations)
     if (interaction.isButton()) {
-      const [prefix, pageStr, invokerId, createdAtStr] = interaction.customId.split(':');
+      // Approval requests carry their own state and never expire
+      if (interaction.customId.startsWith('gate:')) return handleApprovalButton(interaction);
+
+      const [prefix, pageStr, invokerId, createdAtStr, queryId] = interaction.customId.split(':');
       const createdAt = Number(createdAtStr || 0);
+      const isConfirmation = prefix === 'confirm' || prefix === 'cancel';
 
-      // Only handle userlist buttons (others might exist)
-      if (!prefix?.startsWith('userlist')) return;
+      // Only handle userlist and confirmation buttons (others might exist)
+      if (!prefix?.startsWith('userlist') && !isConfirmation) return;
 
       // Check TTL
       if (Date.now() - createdAt > BUTTON_TTL) {
         // Disable the buttons
-        await interaction.update({ content: 'This pagination has expired.', components: [], embeds: [] }).catch(() => {});
+        const what = isConfirmation ? 'confirmation' : 'pagination';
+        await interaction.update({ content: `This ${what} has expired.`, components: [], embeds: [] }).catch(() => {});
         return;
       }
 
@@ -288,14 +1159,36 @@ client.on('interactionCreate', async (interaction) => {
         return interaction.reply({ content: 'These buttons are restricted to the command invoker.', flags: MessageFlags.Ephemeral });
       }
 
+      if (isConfirmation) {
+        // pageStr carries the action id for confirmation buttons
+        const run = pendingActions.get(pageStr);
+        pendingActions.delete(pageStr);
+        if (prefix === 'cancel' || !run) {
+          await interaction.update({ content: run ? '✖️ Cancelled. Nothing was removed.' : 'This confirmation has expired.', components: [], embeds: [] });
+          return;
+        }
+        await run(interaction);
+        return;
+      }
+
       // compute target page
       let targetPage = parseInt(pageStr, 10);
       if (isNaN(targetPage) || targetPage < 1) targetPage = 1;
 
-      // reload users fresh
-      users = loadJson(USERS_FILE);
+      // Filter state lives in memory; buttons from before a restart have none
+      const filters = queryId ? userlistQueries.get(queryId) : {};
+      if (!filters) {
+        await interaction.update({ content: 'This pagination has expired.', components: [], embeds: [] }).catch(() => {});
+        return;
+      }
+      // Membership filters may need a member fetch, which can outlast the 3s reply window
+      if (needsMembers(filters)) await interaction.deferUpdate();
 
-      const { embed, components } = buildUserlistPage(users, targetPage, invokerId);
+      const { embed, components } = await buildUserlistPage(targetPage, invokerId, filters);
+      if (interaction.deferred) {
+        await interaction.editReply({ embeds: [embed], components });
+        return;
+      }
       // update the message
       await interaction.update({ embeds: [embed], components }).catch(async (err) => {
         // fallback: send ephemeral
@@ -309,115 +1202,601 @@ client.on('interactionCreate', async (interaction) => {
     // Slash commands
     if (!interaction.isChatInputCommand()) return;
 
-    // Owner check
-    if (!OWNER_IDS.includes(interaction.user.id)) {
-      return interaction.reply({ content: '❌ You are not authorized to use this bot.', flags: MessageFlags.Ephemeral });
+    // Permission check (owners always pass; see /permissions)
+    if (!permissions.canRun(interaction)) {
+      return interaction.reply({ content: '❌ You are not authorized to use this command.', flags: MessageFlags.Ephemeral });
     }
 
     const cmd = interaction.commandName;
 // /cleanup
 if (cmd === 'cleanup') {
-  users = loadJson(USERS_FILE);
-  const entries = Object.entries(users);
+  const entries = scopedUsers(interaction).map(u => [u.id, u]);
   if (entries.length === 0) {
-    return interaction.reply({ content: 'No users in users.json.', flags: MessageFlags.Ephemeral });
+    return interaction.reply({ content: 'No verified users stored.', flags: MessageFlags.Ephemeral });
   }
 
-  await interaction.reply({ content: '🧹 Checking all users for invalid tokens...', flags: MessageFlags.Ephemeral });
+  const dryRun = interaction.options.getBoolean('dryrun') ?? false;
+  await interaction.reply({ content: `🧹 Checking all users for invalid tokens${dryRun ? ' (dry run)' : ''}...`, flags: MessageFlags.Ephemeral });
 
-  let removed = 0;
+  // A 401 only means the access token expired or was revoked; the user is removed only when the
+  // refresh token is rejected too (invalid_grant). Network errors and 5xx/429 leave the user alone.
+  const invalid = [];
+  let unchecked = 0;
+  let refreshed = 0;
   for (const [id, u] of entries) {
-    if (!u.access_token) {
-      delete users[id];
-      removed++;
-      continue;
-    }
-
-    try {
-      const res = await fetch('https://discord.com/api/users/@me', {
-        headers: { Authorization: `Bearer ${u.access_token}` }
-      });
-      if (!res.ok) {
-        delete users[id];
-        removed++;
+    const { status, error } = await memberActions.checkToken(u);
+    if (status === 'invalid') {
+      const refresh = await memberActions.refreshToken(u);
+      if (refresh.status === 'invalid') invalid.push(u);
+      else if (refresh.status === 'refreshed') refreshed++;
+      else {
+        console.warn(`⚠️ Keeping user ${id}: access token rejected, refresh ${refresh.status} (${refresh.error})`);
+        unchecked++;
       }
-    } catch {
-      delete users[id];
-      removed++;
+    } else if (status === 'unknown') {
+      if (error?.startsWith('cannot decrypt')) console.error(`⚠️ Skipping user ${id} (${error})`);
+      unchecked++;
     }
   }
 
-  saveJson(USERS_FILE, users);
-  await interaction.followUp({ content: `✅ Cleanup complete! Removed ${removed} invalid users.`, flags: MessageFlags.Ephemeral });
+  const note = (refreshed ? `\n🔄 ${refreshed} expired access tokens were refreshed.` : '') +
+    (unchecked ? `\n⚠️ ${unchecked} users could not be checked (network/Discord errors, or no usable refresh token) and were left alone.` : '');
+  if (invalid.length === 0) {
+    await interaction.followUp({ content: `✅ No users with invalid tokens found.${note}`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const embed = buildUserListEmbed(`🧹 ${invalid.length} users whose authorization was revoked`, invalid, '#e67e22');
+  if (dryRun) {
+    await interaction.followUp({ content: `🔎 Dry run — nothing was removed.${note}`, embeds: [embed], flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const row = buildConfirmRow(interaction.user.id, async (btn) => {
+    const batch = await removeUsers(interaction, invalid.map(u => u.id), '/cleanup (invalid or expired token)');
+    await btn.update({
+      content: `✅ Cleanup complete! Removed ${batch.users.length} invalid users. Undo with \`/undo batch:${batch.batchId}\`.`,
+      embeds: [],
+      components: []
+    });
+  });
+  await interaction.followUp({ content: `Remove these users?${note}`, embeds: [embed], components: [row], flags: MessageFlags.Ephemeral });
   return;
 }
 
-    // /send
-    if (cmd === 'send') {
+    // /syncroles
+    if (cmd === 'syncroles') {
+      const dryRun = interaction.options.getBoolean('dryrun') ?? false;
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      const result = await roleSync.sync(interaction.guild, { dryRun });
+      if (result.error) {
+        return interaction.editReply({ content: `❌ ${result.error}` });
+      }
+      if (result.failed.length) roleFailures.inc({ source: 'sync', status: 'failed' }, result.failed.length);
+      const list = members => (members.map(m => `• ${m} \`${m.id}\``).slice(0, 15).join('\n') + (members.length > 15 ? `\n…and ${members.length - 15} more` : '')) || 'None';
       const embed = new EmbedBuilder()
-        .setTitle('✅ Verify Your Discord Account')
-        .setDescription('Click the button below to verify your account through Discord’s official authorization window.')
-        .setColor('#00b894');
+        .setTitle(dryRun ? '🔎 Verified role sync (dry run)' : '🔁 Verified role synced')
+        .addFields(
+          { name: `${dryRun ? 'Would grant' : 'Granted'} (${result.granted.length})`, value: list(result.granted).substring(0, 1024), inline: true },
+          { name: `${dryRun ? 'Would remove' : 'Removed'} (${result.removed.length})`, value: list(result.removed).substring(0, 1024), inline: true }
+        )
+        .setColor('#00cec9');
+      if (result.failed.length) {
+        embed.addFields({ name: `Failed (${result.failed.length})`, value: result.failed.slice(0, 10).map(f => `• ${f.member} — ${f.error}`).join('\n').substring(0, 1024) });
+      }
+      if (!dryRun) {
+        console.log(`🔁 ${interaction.user.tag} synced roles in ${interaction.guild.name}: +${result.granted.length} -${result.removed.length}`);
+        await auditLog.roleSync({ guildId: interaction.guildId, ...result, trigger: `/syncroles by <@${interaction.user.id}>` });
+      }
+      return interaction.editReply({ embeds: [embed] });
+    }
 
-      const buttonRow = new ActionRowBuilder().addComponents(
-        new ButtonBuilder()
-          .setStyle(ButtonStyle.Link)
-          .setURL(OAUTH_URL)
-          .setLabel('🔗 Verify Account')
-      );
+    // /gates view|accountage|requiremember|approval|deny|allow
+    if (cmd === 'gates') {
+      const guildId = interaction.guildId;
+      const sub = interaction.options.getSubcommand();
+      const reply = content => interaction.reply({ content, flags: MessageFlags.Ephemeral });
+
+      if (sub === 'view') {
+        const embed = new EmbedBuilder()
+          .setTitle('🚧 Verification requirements')
+          .setDescription(describeGates(guildConfig.get(guildId).gates).join('\n'))
+          .setColor('#e17055');
+        return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+      }
+      if (sub === 'approval') {
+        const enabled = interaction.options.getBoolean('enabled');
+        const settings = guildConfig.get(guildId);
+        if (enabled && (!settings.log_channel || !auditLog.enabledEvents(guildId).includes('approval'))) {
+          return reply('❌ Approval requests are posted in the log channel: set one with `/config logchannel` and keep the `approval` event enabled in `/logevents`.');
+        }
+        guildConfig.update(guildId, (s) => { s.gates = { ...s.gates, approval: enabled }; });
+        return reply(enabled ? '✅ New verifications now wait for a moderator\'s approval in the log channel.' : '✅ Manual approval turned off.');
+      }
+      if (sub === 'accountage') {
+        const days = interaction.options.getInteger('days');
+        guildConfig.update(guildId, (s) => { s.gates = { ...s.gates, min_account_age_days: days }; });
+        return reply(days ? `✅ Accounts must be at least ${days} days old to verify.` : '✅ Account age requirement turned off.');
+      }
+      if (sub === 'requiremember') {
+        const enabled = interaction.options.getBoolean('enabled');
+        guildConfig.update(guildId, (s) => { s.gates = { ...s.gates, require_member: enabled }; });
+        return reply(enabled ? '✅ Users must join this server before verifying.' : '✅ Membership requirement turned off.');
+      }
+      // deny / allow
+      const user = interaction.options.getUser('user');
+      let changed = false;
+      guildConfig.update(guildId, (s) => {
+        const denylist = new Set(s.gates.denylist || []);
+        changed = sub === 'deny' ? !denylist.has(user.id) : denylist.has(user.id);
+        if (sub === 'deny') denylist.add(user.id);
+        else denylist.delete(user.id);
+        s.gates = { ...s.gates, denylist: [...denylist] };
+      });
+      if (sub === 'deny') return reply(changed ? `⛔ ${user} can no longer verify in this server.` : `ℹ️ ${user} is already on the denylist.`);
+      return reply(changed ? `✅ ${user} was removed from the denylist.` : `ℹ️ ${user} is not on the denylist.`);
+    }
+
+    // /mydata (any member, own record only)
+    if (cmd === 'mydata') {
+      const user = storage.getUser(interaction.user.id);
+      if (!user) {
+        return interaction.reply({ content: 'ℹ️ This bot has no stored data about you.', flags: MessageFlags.Ephemeral });
+      }
+      return interaction.reply({ embeds: [buildMyDataEmbed(user)], flags: MessageFlags.Ephemeral });
+    }
 
-      await interaction.reply({ embeds: [embed], components: [buttonRow], ephemeral: false });
+    // /unverify (any member, own record only)
+    if (cmd === 'unverify') {
+      const user = storage.getUser(interaction.user.id);
+      if (!user) {
+        return interaction.reply({ content: 'ℹ️ You are not verified with this bot; there is nothing to delete.', flags: MessageFlags.Ephemeral });
+      }
+      const row = buildConfirmRow(interaction.user.id, async (btn) => {
+        await btn.deferUpdate();
+        const result = await memberActions.unverify(interaction.user.id);
+        console.log(`🚪 ${interaction.user.tag} (${interaction.user.id}) unverified themselves`);
+        await btn.editReply({
+          content: result ? `✅ Done: ${describeUnverify(result)}` : 'ℹ️ Your data was already deleted.',
+          components: []
+        });
+      });
+      await interaction.reply({
+        content: '⚠️ This revokes the bot\'s access to your Discord account, removes the verified role in every server you verified in, and deletes everything stored about you. You would need to verify again to regain access. Continue?',
+        components: [row],
+        flags: MessageFlags.Ephemeral
+      });
       return;
     }
 
-    // /setverified
+    // /tokenhealth
+    if (cmd === 'tokenhealth') {
+      return interaction.reply({ embeds: [buildTokenHealthEmbed(scopedUsers(interaction))], flags: MessageFlags.Ephemeral });
+    }
+
+    // /send (shortcut for /panel create with the defaults, in this channel)
+    if (cmd === 'send') {
+      if (!interaction.guildId) {
+        return interaction.reply({ content: '❌ Verification panels can only be sent in a server.', flags: MessageFlags.Ephemeral });
+      }
+      return createPanel(interaction, interaction.channel, {});
+    }
+
+    // /panel create|edit|list|delete
+    if (cmd === 'panel') {
+      const guildId = interaction.guildId;
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === 'create') {
+        const { fields, error } = readPanelOptions(interaction);
+        if (error) return interaction.reply({ content: `❌ ${error}`, flags: MessageFlags.Ephemeral });
+        const channel = interaction.options.getChannel('channel') || interaction.channel;
+        if (!channel?.isTextBased()) {
+          return interaction.reply({ content: '❌ Panels can only be posted in text channels.', flags: MessageFlags.Ephemeral });
+        }
+        return createPanel(interaction, channel, fields);
+      }
+
+      const id = interaction.options.getString('id')?.trim();
+      const panel = guildConfig.get(guildId).panels.find(p => p.id === id);
+      if (sub !== 'list' && !panel) {
+        return interaction.reply({ content: `❌ No panel \`${id}\`. See \`/panel list\`.`, flags: MessageFlags.Ephemeral });
+      }
+      const channel = panel && interaction.guild.channels.cache.get(panel.channelId);
+
+      if (sub === 'edit') {
+        const { fields, error } = readPanelOptions(interaction);
+        if (error) return interaction.reply({ content: `❌ ${error}`, flags: MessageFlags.Ephemeral });
+        if (!Object.keys(fields).length) {
+          return interaction.reply({ content: '❌ Nothing to change; pass at least one option.', flags: MessageFlags.Ephemeral });
+        }
+        const next = { ...panel, ...fields };
+        const invalid = validatePanel(next);
+        if (invalid) return interaction.reply({ content: `❌ ${invalid}`, flags: MessageFlags.Ephemeral });
+
+        // Edit the posted message in place; re-post it if it was deleted
+        const message = buildPanelMessage(next, panelUrl(guildId, next.id));
+        const existing = await channel?.messages.fetch(next.messageId).catch(() => null);
+        let status;
+        if (existing) {
+          status = await existing.edit(message).then(() => 'updated', () => null);
+        } else {
+          const posted = await channel?.send(message).catch(() => null);
+          if (posted) next.messageId = posted.id;
+          status = posted ? 'reposted' : null;
+        }
+        if (!status) {
+          return interaction.reply({ content: `❌ Couldn't update the panel message in <#${panel.channelId}> (check my permissions there and the button emoji). Nothing was changed.`, flags: MessageFlags.Ephemeral });
+        }
+        guildConfig.update(guildId, (s) => {
+          s.panels = s.panels.map(p => (p.id === next.id ? { ...p, ...fields, messageId: next.messageId } : p));
+        });
+        return interaction.reply({
+          content: status === 'updated'
+            ? `✅ Panel \`${next.id}\` updated.`
+            : `✅ Panel \`${next.id}\` updated. Its message was gone, so it was posted again in <#${next.channelId}>.`,
+          flags: MessageFlags.Ephemeral
+        });
+      }
+
+      if (sub === 'delete') {
+        const existing = await channel?.messages.fetch(panel.messageId).catch(() => null);
+        const deleted = existing ? await existing.delete().then(() => true, () => false) : false;
+        guildConfig.update(guildId, (s) => {
+          s.panels = s.panels.filter(p => p.id !== panel.id);
+        });
+        return interaction.reply({
+          content: deleted
+            ? `🗑️ Deleted panel \`${panel.id}\` and its message.`
+            : `🗑️ Deleted panel \`${panel.id}\`. Its message was already gone or couldn't be deleted; if it is still up, its button keeps working without${panel.role ? ` granting <@&${panel.role}> or` : ''} counting verifications.`,
+          flags: MessageFlags.Ephemeral
+        });
+      }
+
+      // list
+      const panels = guildConfig.get(guildId).panels;
+      const lines = panels.map(p => [
+        `\`${p.id}\` **${p.title.substring(0, 80)}** in <#${p.channelId}>`,
+        `[message](https://discord.com/channels/${guildId}/${p.channelId}/${p.messageId})`,
+        `${p.verifications || 0} verifications`,
+        ...(p.role ? [`+ <@&${p.role}>`] : [])
+      ].join(' · '));
+      const embed = new EmbedBuilder()
+        .setTitle('🪧 Verification panels')
+        .setDescription((lines.join('\n') || 'No panels. Post one with `/panel create` or `/send`.').substring(0, 4096))
+        .setColor('#00b894');
+      return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+    }
+
+    // /setverified (shortcut for /config logchannel)
     if (cmd === 'setverified') {
       const channel = interaction.options.getChannel('channel');
-      config.verified_channel = channel.id;
-      saveJson(CONFIG_FILE, config);
+      guildConfig.set(interaction.guildId, 'log_channel', channel.id);
       await interaction.reply({ content: `✅ Verified log channel set to ${channel}`, flags: MessageFlags.Ephemeral });
       return;
     }
 
+    // /statusroles list|add|remove
+    if (cmd === 'statusroles') {
+      const guildId = interaction.guildId;
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === 'add') {
+        const role = interaction.options.getRole('role');
+        const rule = normalizeRule({
+          id: crypto.randomBytes(3).toString('hex'),
+          match: interaction.options.getString('match').trim(),
+          match_type: interaction.options.getString('match_type') || undefined,
+          activity: interaction.options.getString('activity') || undefined,
+          role: role.id,
+          grace_minutes: interaction.options.getInteger('grace_minutes') || 0,
+          announce_channel: interaction.options.getChannel('announce_channel')?.id
+        });
+        const error = validateRule(rule);
+        if (error) {
+          return interaction.reply({ content: `❌ ${error}`, flags: MessageFlags.Ephemeral });
+        }
+        guildConfig.update(guildId, (s) => {
+          s.status_roles = [...s.status_roles.map(normalizeRule), rule];
+        });
+        await interaction.reply({ content: `✅ Added rule ${describeRule(rule)}. Checking current members...`, flags: MessageFlags.Ephemeral });
+        const checked = await statusRoles.reconcile(interaction.guild).catch((e) => {
+          console.warn('Status role reconcile failed:', e?.message || e);
+          return null;
+        });
+        await interaction.editReply({ content: `✅ Added rule ${describeRule(rule)}.${checked === null ? ' ⚠️ Current members could not be checked yet.' : ''}` });
+        return;
+      }
+      if (sub === 'remove') {
+        const id = interaction.options.getString('id').trim();
+        let removed = null;
+        guildConfig.update(guildId, (s) => {
+          const rules = s.status_roles.map(normalizeRule);
+          removed = rules.find(r => r.id === id) || null;
+          s.status_roles = rules.filter(r => r.id !== id);
+        });
+        return interaction.reply({
+          content: removed
+            ? `🗑️ Removed rule ${describeRule(removed)}. Members keep the role until you remove it or another rule takes it away.`
+            : `❌ No status role rule \`${id}\`.`,
+          flags: MessageFlags.Ephemeral
+        });
+      }
+
+      // list
+      const rules = statusRoles.rulesFor(guildId);
+      const embed = new EmbedBuilder()
+        .setTitle('🎭 Status role rules')
+        .setDescription((rules.map(describeRule).join('\n') || 'No rules. Add one with `/statusroles add`.').substring(0, 4096))
+        .setColor('#9b59b6');
+      return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+    }
+
+    // /config view|verifiedrole|logchannel|panel|branding
+    if (cmd === 'config') {
+      const guildId = interaction.guildId;
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === 'verifiedrole') {
+        const role = interaction.options.getRole('role');
+        guildConfig.set(guildId, 'verified_role', role.id);
+        return interaction.reply({ content: `✅ Verified role set to ${role}.`, flags: MessageFlags.Ephemeral });
+      }
+      if (sub === 'logchannel') {
+        const channel = interaction.options.getChannel('channel');
+        guildConfig.set(guildId, 'log_channel', channel.id);
+        return interaction.reply({ content: `✅ Log channel set to ${channel}.`, flags: MessageFlags.Ephemeral });
+      }
+      if (sub === 'panel') {
+        const title = interaction.options.getString('title');
+        const description = interaction.options.getString('description');
+        guildConfig.update(guildId, (s) => {
+          if (title) s.panel_title = title;
+          if (description) s.panel_description = description.replace(/\\n/g, '\n');
+        });
+        return interaction.reply({ content: '✅ Default panel text updated. It applies to panels posted from now on; change existing ones with /panel edit.', flags: MessageFlags.Ephemeral });
+      }
+      if (sub === 'branding') {
+        const branding = { ...guildConfig.get(guildId).branding };
+        if (interaction.options.getBoolean('reset')) Object.assign(branding, DEFAULT_GUILD_SETTINGS.branding);
+        for (const name of ['logo', 'return_url']) {
+          const value = interaction.options.getString(name)?.trim();
+          if (!value) continue;
+          if (!/^https:\/\/\S+$/i.test(value) || value.length > 2048) {
+            return interaction.reply({ content: `❌ ${name} must be an https:// URL.`, flags: MessageFlags.Ephemeral });
+          }
+          branding[name] = value;
+        }
+        const color = interaction.options.getString('color');
+        if (color) {
+          branding.color = normalizeColor(color);
+          if (!/^#[0-9a-f]{6}$/.test(branding.color)) {
+            return interaction.reply({ content: '❌ The color must be a hex code like #00b894.', flags: MessageFlags.Ephemeral });
+          }
+        }
+        guildConfig.set(guildId, 'branding', branding);
+        return interaction.reply({ content: `✅ Page branding updated:\n${describeBranding(branding)}`, flags: MessageFlags.Ephemeral });
+      }
+
+      // view
+      const s = guildConfig.get(guildId);
+      const events = auditLog.enabledEvents(guildId);
+      const embed = new EmbedBuilder()
+        .setTitle('⚙️ Verification settings')
+        .addFields(
+          { name: 'Verified role', value: s.verified_role ? `<@&${s.verified_role}>` : 'Not set', inline: true },
+          { name: 'Log channel', value: s.log_channel ? `<#${s.log_channel}>` : 'Not set', inline: true },
+          { name: 'Log events', value: events.length ? events.map(e => `\`${e}\``).join(', ') : 'None', inline: false },
+          {
+            name: 'Status roles (/statusroles)',
+            value: (s.status_roles.length ? s.status_roles.map(r => `• ${describeRule(normalizeRule(r))}`).join('\n') : 'None').substring(0, 1024),
+            inline: false
+          },
+          { name: 'Panels (/panel list)', value: String(s.panels.length), inline: true },
+          { name: 'Page branding', value: describeBranding(s.branding), inline: false },
+          { name: 'Default panel title', value: s.panel_title.substring(0, 1024), inline: false },
+          { name: 'Default panel description', value: s.panel_description.substring(0, 1024), inline: false }
+        )
+        .setColor('#3498db');
+      return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+    }
+
+    // /permissions list|grant|revoke
+    if (cmd === 'permissions') {
+      const guildId = interaction.guildId;
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === 'list') {
+        const describe = (t) => (TIERS.includes(t) ? `tier **${t}**` : `command **/${t}**`);
+        const lines = permissions.list(guildId).map(([target, { roles, users }]) =>
+          `• ${describe(target)}: ${[...roles.map(r => `<@&${r}>`), ...users.map(u => `<@${u}>`)].join(', ')}`);
+        const tiers = TIERS.map(t => `**${t}**: ${Object.keys(COMMAND_TIERS).filter(c => COMMAND_TIERS[c] === t).map(c => `/${c}`).join(', ')}`);
+        const embed = new EmbedBuilder()
+          .setTitle('🔑 Command permissions')
+          .setDescription(lines.length ? lines.join('\n') : 'No grants yet — only bot owners can run staff commands.')
+          .addFields({ name: 'Tiers (higher tiers include lower ones)', value: tiers.join('\n') })
+          .setColor('#9b59b6');
+        return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral, allowedMentions: { parse: [] } });
+      }
+
+      const target = interaction.options.getString('target').trim().replace(/^\//, '').toLowerCase();
+      const role = interaction.options.getRole('role');
+      const user = interaction.options.getUser('user');
+      if (!isGrantTarget(target)) {
+        return interaction.reply({ content: `❌ Unknown target \`${target}\`. Use a tier (${TIERS.join(', ')}) or a staff command name.`, flags: MessageFlags.Ephemeral });
+      }
+      if (!role && !user) {
+        return interaction.reply({ content: '❌ Pick a role or a user.', flags: MessageFlags.Ephemeral });
+      }
+
+      const changes = [];
+      for (const [kind, entity, mention] of [['roles', role, role && `${role}`], ['users', user, user && `<@${user.id}>`]]) {
+        if (!entity) continue;
+        const changed = sub === 'grant'
+          ? permissions.grant(guildId, target, kind, entity.id)
+          : permissions.revoke(guildId, target, kind, entity.id);
+        changes.push(`${changed ? '✅' : 'ℹ️'} ${mention} ${sub === 'grant' ? (changed ? 'granted' : 'already had') : (changed ? 'revoked from' : 'did not have')} \`${target}\``);
+      }
+      return interaction.reply({ content: changes.join('\n'), flags: MessageFlags.Ephemeral, allowedMentions: { parse: [] } });
+    }
+
+    // /backup list|create|restore
+    if (cmd === 'backup') {
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === 'create') {
+        const b = backups.create('manual');
+        return interaction.reply({ content: `💾 Backup \`${b.id}\` created (${b.users} users, ${b.configKeys} config keys).`, flags: MessageFlags.Ephemeral });
+      }
+
+      if (sub === 'restore') {
+        const id = interaction.options.getString('id').trim();
+        const { errors, diff, snapshot, users, withdrawn } = backups.inspect(id);
+        if (errors.length) {
+          const shown = errors.slice(0, 10).map(e => `• ${e}`).join('\n');
+          return interaction.reply({
+            content: `❌ Backup \`${id}\` failed integrity checks:\n${shown}${errors.length > 10 ? `\n…and ${errors.length - 10} more` : ''}`.substring(0, 2000),
+            flags: MessageFlags.Ephemeral
+          });
+        }
+        const embed = new EmbedBuilder()
+          .setTitle(`♻️ Restore backup ${id}?`)
+          .addFields(
+            { name: 'Taken', value: `<t:${Math.floor(Date.parse(snapshot.createdAt) / 1000)}:f> (${snapshot.reason})`, inline: false },
+            { name: 'Users now → in backup', value: `${storage.countUsers()} → ${users.length}${withdrawn ? ` (${withdrawn} who withdrew left out)` : ''}`, inline: true },
+            { name: 'Changes', value: describeBackupDiff(diff), inline: true }
+          )
+          .setFooter({ text: 'Users and config will be replaced. A safety backup is taken first.' })
+          .setColor('#e67e22');
+        const row = buildConfirmRow(interaction.user.id, async (btn) => {
+          const result = backups.restore(id);
+          console.log(`♻️ Backup ${id} restored by ${interaction.user.id} (${describeBackupDiff(result.diff)})`);
+          await btn.update({
+            content: `✅ Restored \`${id}\` (${result.users} users). Previous state saved as \`${result.safetyBackupId}\`.`,
+            embeds: [],
+            components: []
+          });
+        });
+        return interaction.reply({ embeds: [embed], components: [row], flags: MessageFlags.Ephemeral });
+      }
+
+      // list
+      const list = backups.list();
+      const lines = list.slice(0, 20).map(b =>
+        `• \`${b.id}\` — ${b.corrupt ? '⚠️ unreadable' : `${b.counts?.users ?? '?'} users`}, ${(b.size / 1024).toFixed(1)} KB`);
+      const embed = new EmbedBuilder()
+        .setTitle('💾 Backups')
+        .setDescription(lines.length ? lines.join('\n') : 'No backups yet.')
+        .setFooter({ text: `Total: ${list.length}` })
+        .setColor('#3498db');
+      return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+    }
+
+    // /logevents [event] [enabled]
+    if (cmd === 'logevents') {
+      const event = interaction.options.getString('event');
+      const enabled = interaction.options.getBoolean('enabled');
+      if (event && enabled !== null) auditLog.setEventEnabled(interaction.guildId, event, enabled);
+
+      const active = auditLog.enabledEvents(interaction.guildId);
+      const lines = Object.entries(LOG_EVENTS).map(([type, { label }]) =>
+        `${active.includes(type) ? '✅' : '⬜'} **${label}** (\`${type}\`)`);
+      await interaction.reply({ content: `📋 Log events:\n${lines.join('\n')}`, flags: MessageFlags.Ephemeral });
+      return;
+    }
+
     // /userlist (paginated, first page)
     if (cmd === 'userlist') {
-      // reload users
-      users = loadJson(USERS_FILE);
-
-      if (Object.keys(users).length === 0) {
+      if (!storage.queryUsers({ guildId: interaction.guildId, limit: 1 }).total) {
         return interaction.reply({ content: 'No verified users found.', flags: MessageFlags.Ephemeral });
       }
 
+      const role = interaction.options.getRole('role');
+      const filters = {
+        search: interaction.options.getString('search')?.trim() || undefined,
+        after: interaction.options.getString('verified_after')?.trim() || undefined,
+        before: interaction.options.getString('verified_before')?.trim() || undefined,
+        token: interaction.options.getString('token') || undefined,
+        membership: interaction.options.getString('membership') || undefined,
+        roleId: role?.id,
+        roleName: role?.name,
+        sort: interaction.options.getString('sort') || undefined,
+        showIp: interaction.options.getBoolean('show_ip') ?? false,
+        guildId: interaction.guildId
+      };
+      for (const [key, label] of [['after', 'verified_after'], ['before', 'verified_before']]) {
+        if (filters[key] && !parseDay(filters[key])) {
+          return interaction.reply({ content: `❌ \`${label}\` must be a date like 2024-05-01.`, flags: MessageFlags.Ephemeral });
+        }
+      }
+      if (needsMembers(filters) && !interaction.guild) {
+        return interaction.reply({ content: '❌ Membership and role filters only work in a server.', flags: MessageFlags.Ephemeral });
+      }
+
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
       const invokerId = interaction.user.id;
       const page = 1;
-      const { embed, components } = buildUserlistPage(users, page, invokerId);
+      const { embed, components } = await buildUserlistPage(page, invokerId, filters);
 
       // reply with ephemeral message and components
-      await interaction.reply({ embeds: [embed], components, flags: MessageFlags.Ephemeral });
+      await interaction.editReply({ embeds: [embed], components });
+      return;
+    }
+
+    // /export [format] [fields] [include_ip]
+    if (cmd === 'export') {
+      const format = interaction.options.getString('format') || 'csv';
+      const includeIp = interaction.options.getBoolean('include_ip') ?? false;
+      let { fields, error } = parseExportFields(interaction.options.getString('fields'));
+      if (error) {
+        return interaction.reply({ content: `❌ ${error}`, flags: MessageFlags.Ephemeral });
+      }
+      if (includeIp && !fields.includes('ip')) fields = [...fields, 'ip'];
+      if (needsGuildMembers(fields) && !interaction.guild) {
+        return interaction.reply({ content: '❌ `in_guild` and `roles` can only be exported in a server.', flags: MessageFlags.Ephemeral });
+      }
+
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      const users = scopedUsers(interaction);
+      const members = needsGuildMembers(fields) ? await guildMembers(interaction.guild) : null;
+      const files = packageExport(users, {
+        format,
+        fields,
+        context: { guild: interaction.guild, members, includeIp },
+        baseName: `verified-users-${new Date().toISOString().slice(0, 10)}`,
+        maxBytes: EXPORT_ATTACHMENT_LIMIT
+      }).map(f => ({ attachment: f.data, name: f.name }));
+      console.log(`📤 ${interaction.user.tag} exported ${users.length} users as ${format} (${fields.join(', ')}${includeIp ? ', with IPs' : ''})`);
+
+      const parts = files.length > 1 ? ` in ${files.length} parts (gzipped, one per message)` : files[0].name.endsWith('.gz') ? ' (gzipped)' : '';
+      await interaction.editReply({ content: `📤 Exported ${users.length} users: ${fields.join(', ')}${parts}.`, files: [files[0]] });
+      // One file per message so each stays under the upload limit
+      for (const file of files.slice(1)) {
+        await interaction.followUp({ files: [file], flags: MessageFlags.Ephemeral });
+      }
       return;
     }
 
     // /userip <userid> (shows that user's IP)
     if (cmd === 'userip') {
       const userId = interaction.options.getString('userid').trim();
-      users = loadJson(USERS_FILE);
-      const u = users[userId];
-      if (!u) {
-        return interaction.reply({ content: `❌ User ID \`${userId}\` not found in users.json.`, flags: MessageFlags.Ephemeral });
+      const u = storage.getUser(userId);
+      if (!inScope(interaction, u)) {
+        return interaction.reply({ content: `❌ User ID \`${userId}\` not found in stored users.`, flags: MessageFlags.Ephemeral });
       }
       const name = formatUserDisplay(u);
-      await interaction.reply({ content: `🔎 ${name} | ID: \`${userId}\` | IP: \`${u.ip || 'Unknown'}\``, flags: MessageFlags.Ephemeral });
+      await interaction.reply({ content: `🔎 ${name} | ID: \`${userId}\` | IP: \`${ipPolicy.display(u.ip)}\``, flags: MessageFlags.Ephemeral });
       return;
     }
 
     // /useralts
     if (cmd === 'useralts') {
-      users = loadJson(USERS_FILE);
       const byIp = {};
-      for (const u of Object.values(users)) {
-        const ip = u.ip || 'Unknown';
-        if (!byIp[ip]) byIp[ip] = [];
-        byIp[ip].push(u);
+      for (const u of scopedUsers(interaction)) {
+        // Users without a stored IP (purged or never recorded) aren't alts of each other
+        if (!u.ip) continue;
+        if (!byIp[u.ip]) byIp[u.ip] = [];
+        byIp[u.ip].push(u);
       }
       // keep only groups with >1 user
       const duplicates = Object.entries(byIp).filter(([ip, arr]) => arr.length > 1);
@@ -428,7 +1807,7 @@ if (cmd === 'cleanup') {
       // Build embed(s). If many groups, we will paginate the text inside a single embed (or truncate)
       const lines = [];
       for (const [ip, arr] of duplicates) {
-        lines.push(`🧠 IP: \`${ip}\``);
+        lines.push(`🧠 IP: \`${ipPolicy.display(ip)}\``);
         for (const u of arr) {
           lines.push(`• **${formatUserDisplay(u)}** | ID: \`${u.id}\``);
         }
@@ -448,108 +1827,108 @@ if (cmd === 'cleanup') {
 // /addall (rate limited)
 if (cmd === 'addall') {
   const guildId = interaction.options.getString('serverid').trim();
-  users = loadJson(USERS_FILE);
-
-  const userEntries = Object.entries(users);
-  if (userEntries.length === 0) {
+  const users = scopedUsers(interaction);
+  if (users.length === 0) {
     return interaction.reply({ content: '❌ No verified users found.', flags: MessageFlags.Ephemeral });
   }
+  const problem = await checkRestoreTarget(interaction, guildId);
+  if (problem) {
+    return interaction.reply({ content: problem, flags: MessageFlags.Ephemeral });
+  }
+  const active = restoreJobs.list().find(j => j.targetGuildId === guildId && ['queued', 'running', 'paused'].includes(j.status));
+  if (active) {
+    return interaction.reply({ content: `❌ Job \`${active.id}\` for that server is already ${active.status}. Manage it with \`/jobs\`.`, flags: MessageFlags.Ephemeral });
+  }
 
+  // Runs in the background and survives restarts; expired access tokens are refreshed per user as needed
+  const job = restoreJobs.create({
+    targetGuildId: guildId,
+    userIds: users.map(u => u.id),
+    requestedBy: interaction.user.id,
+    sourceGuildId: interaction.guildId,
+    sourceChannelId: interaction.channelId
+  });
+  // Progress message (edited as the job goes) in the log channel or the requester's DMs
+  const reportChannel = await restoreReportChannel(job);
   await interaction.reply({
-    content: `🔄 Refreshing all tokens before inviting...`,
+    content: `🚀 Restore job \`${job.id}\` queued: **${job.items.length}** verified users → **${client.guilds.cache.get(guildId).name}**.\n` +
+      `It keeps going across restarts; check or control it with \`/jobs\`. Progress and the final report go to ${reportChannel?.isDMBased() ? 'your DMs' : reportChannel ? `${reportChannel}` : 'nowhere (no log channel and your DMs are closed)'}.`,
     flags: MessageFlags.Ephemeral
   });
+  const progress = await reportChannel?.send({ embeds: [jobProgressEmbed(job)] }).catch(() => null);
+  if (progress) restoreJobs.annotate(job.id, { progressMessage: { channelId: progress.channelId, messageId: progress.id } });
+  restoreJobs.start();
+  return;
+}
 
-  // Refresh all tokens first
-  await refreshAllTokens();
-
-  // Reload users after refresh (refreshAllTokens saves the file)
-  users = loadJson(USERS_FILE);
-  const refreshedUserEntries = Object.entries(users);
-  
-  if (refreshedUserEntries.length === 0) {
-    return interaction.followUp({ content: '❌ No verified users found after token refresh.', flags: MessageFlags.Ephemeral });
-  }
-
-  await interaction.followUp({
-    content: `🚀 Inviting **${refreshedUserEntries.length}** verified users to server ID **${guildId}**...\n(Processing ~5 users every 5 seconds to avoid rate limits)`,
-    flags: MessageFlags.Ephemeral
-  });
+    // /jobs list|pause|resume|cancel
+    if (cmd === 'jobs') {
+      const sub = interaction.options.getSubcommand();
+      // Staff see jobs started from their server; owners see all
+      const visible = job => permissions.isOwner(interaction.user.id) || job.sourceGuildId === interaction.guildId;
+
+      if (sub === 'list') {
+        const jobs = restoreJobs.list().filter(visible).slice(0, 10);
+        const embed = new EmbedBuilder()
+          .setTitle('📥 Restore jobs')
+          .setDescription(jobs.map(j => `${describeJob(j)}\nby <@${j.requestedBy}> <t:${Math.floor(Date.parse(j.createdAt) / 1000)}:R>`).join('\n\n') || 'No restore jobs.')
+          .setColor('#3498db');
+        return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+      }
 
-  const BATCH_SIZE = 5; // number of users per batch
-  const DELAY = 5000;   // delay between batches in ms
-  let success = 0;
-  let failed = 0;
-
-  for (let i = 0; i < refreshedUserEntries.length; i += BATCH_SIZE) {
-    const batch = refreshedUserEntries.slice(i, i + BATCH_SIZE);
-    await Promise.all(batch.map(async ([id, u]) => {
-      if (!u.access_token) {
-        console.warn(`⚠️ User ${id} has no access_token, skipping invite`);
-        failed++;
-        return;
+      const id = interaction.options.getString('id').trim();
+      const job = restoreJobs.get(id);
+      if (!job || !visible(job)) {
+        return interaction.reply({ content: `❌ No job \`${id}\`.`, flags: MessageFlags.Ephemeral });
       }
-      try {
-        const res = await fetch(`https://discord.com/api/guilds/${guildId}/members/${id}`, {
-          method: 'PUT',
-          headers: {
-            Authorization: `Bot ${process.env.BOT_TOKEN}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ access_token: u.access_token })
-        });
-        if (res.ok) {
-          success++;
-          console.log(`✅ Invited user ${id} using access_token`);
-        } else {
-          const errorText = await res.text().catch(() => 'Unknown error');
-          console.warn(`❌ Failed to invite user ${id}: HTTP ${res.status} - ${errorText}`);
-          failed++;
-        }
-      } catch (err) {
-        console.error(`❌ Error inviting user ${id}:`, err);
-        failed++;
+      const result = restoreJobs[sub](id);
+      if (result.error) {
+        return interaction.reply({ content: `❌ ${result.error}`, flags: MessageFlags.Ephemeral });
       }
-    }));
-
-    if (i + BATCH_SIZE < refreshedUserEntries.length) {
-      await new Promise(res => setTimeout(res, DELAY)); // wait between batches
+      console.log(`📥 Restore job ${id} ${sub} by ${interaction.user.tag}`);
+      return interaction.reply({ content: `✅ ${describeJob(result.job)}`, flags: MessageFlags.Ephemeral });
     }
-  }
-
-  await interaction.followUp({ content: `✅ Invite process complete! Success: **${success}**, Failed: **${failed}**.`, flags: MessageFlags.Ephemeral });
-  return;
-}
 
     // /adduser
     if (cmd === 'adduser') {
       const userId = interaction.options.getString('userid').trim();
       const guildId = interaction.options.getString('serverid').trim();
-      users = loadJson(USERS_FILE);
-      const u = users[userId];
-      if (!u || !u.access_token) {
+      const u = storage.getUser(userId);
+      if (!inScope(interaction, u) || !u.access_token) {
         return interaction.reply({ content: `❌ User ID \`${userId}\` not found or has no access token.`, flags: MessageFlags.Ephemeral });
       }
+      const problem = await checkRestoreTarget(interaction, guildId);
+      if (problem) {
+        return interaction.reply({ content: problem, flags: MessageFlags.Ephemeral });
+      }
 
-      try {
-        console.log(`🔄 Inviting user ${userId} using access_token to server ${guildId}`);
-        const res = await fetch(`https://discord.com/api/guilds/${guildId}/members/${userId}`, {
-          method: 'PUT',
-          headers: {
-            Authorization: `Bot ${process.env.BOT_TOKEN}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ access_token: u.access_token })
-        });
-        if (!res.ok) {
-          const errorText = await res.text().catch(() => 'Unknown error');
-          throw new Error(`HTTP ${res.status}: ${errorText}`);
-        }
+      console.log(`🔄 Inviting user ${userId} using access_token to server ${guildId}`);
+      let result = await memberActions.addToGuild(guildId, u);
+      // An expired access token can usually be renewed with the refresh token
+      if (result.httpStatus === 401) {
+        const renewed = await memberActions.refreshToken(u);
+        if (renewed.status === 'refreshed') result = await memberActions.addToGuild(guildId, renewed.user);
+      }
+      await auditLog.restore({
+        guildId: interaction.guildId,
+        targetGuildId: guildId,
+        by: interaction.user.id,
+        success: result.status === 'added' ? 1 : 0,
+        alreadyMember: result.status === 'already_member' ? 1 : 0,
+        failed: ['added', 'already_member'].includes(result.status) ? 0 : 1,
+        total: 1
+      });
+      if (result.status === 'added') {
         console.log(`✅ Successfully invited user ${userId} using access_token`);
         await interaction.reply({ content: `✅ Invited ${formatUserDisplay(u)} to server ${guildId}.`, flags: MessageFlags.Ephemeral });
-      } catch (err) {
-        console.error(`❌ adduser error for ${userId}:`, err);
-        await interaction.reply({ content: `❌ Failed to invite user: ${err.message}`, flags: MessageFlags.Ephemeral });
+      } else if (result.status === 'already_member') {
+        await interaction.reply({ content: `👥 ${formatUserDisplay(u)} is already a member of server ${guildId}.`, flags: MessageFlags.Ephemeral });
+      } else {
+        const reason = result.status === 'rate_limited'
+          ? `rate limited, try again in ${Math.ceil(result.retryAfterMs / 1000)}s`
+          : `${ADD_FAILURE_REASONS[result.reason] || ADD_FAILURE_REASONS.other} (${result.error})`;
+        console.error(`❌ adduser error for ${userId}: ${result.error || reason}`);
+        await interaction.reply({ content: `❌ Failed to invite user: ${reason}`, flags: MessageFlags.Ephemeral });
       }
       return;
     }
@@ -557,39 +1936,217 @@ if (cmd === 'addall') {
     // /removeuser
     if (cmd === 'removeuser') {
       const userId = interaction.options.getString('userid').trim();
-      users = loadJson(USERS_FILE);
-      if (!users[userId]) {
-        return interaction.reply({ content: `❌ That user ID does not exist in users.json.`, flags: MessageFlags.Ephemeral });
+      const existing = storage.getUser(userId);
+      if (!inScope(interaction, existing)) {
+        return interaction.reply({ content: `❌ That user ID does not exist in stored users.`, flags: MessageFlags.Ephemeral });
+      }
+      // Verifications in other servers are kept
+      const from = interaction.guildId ? 'this server\'s verified users' : 'stored users';
+      const row = buildConfirmRow(interaction.user.id, async (btn) => {
+        const batch = await removeUsers(interaction, [userId], '/removeuser', { guildOnly: true });
+        await btn.update({
+          content: batch.users.length
+            ? `🗑️ Removed user ID \`${userId}\` from ${from}. Undo with \`/undo batch:${batch.batchId}\`.`
+            : `❌ User ID \`${userId}\` was already removed.`,
+          components: []
+        });
+      });
+      await interaction.reply({
+        content: `Remove **${formatUserDisplay(existing)}** (\`${userId}\`) from ${from}?`,
+        components: [row],
+        flags: MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    // /undo [batch] — restore the most recent removal (or a specific batch)
+    if (cmd === 'undo') {
+      // Only users who verified through this server come back, even from a batch that removed others too
+      const guildId = interaction.guildId;
+      const batchId = interaction.options.getString('batch')?.trim() || storage.listTrash({ guildId })[0]?.batchId;
+      const entries = batchId ? storage.listTrash({ batchId, guildId }) : [];
+      if (!entries.length) {
+        return interaction.reply({ content: '❌ Nothing to undo (removed users are kept for a limited time).', flags: MessageFlags.Ephemeral });
+      }
+      const { restored, skipped } = storage.restoreTrash({ batchId, guildId });
+      await interaction.reply({
+        content: `♻️ Restored **${restored.length}** users removed by ${entries[0].reason} <t:${Math.floor(Date.parse(entries[0].deletedAt) / 1000)}:R>.` +
+          (skipped.length ? ` Skipped **${skipped.length}** who have re-verified since.` : ''),
+        flags: MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    // /restoreuser <userid>
+    if (cmd === 'restoreuser') {
+      const userId = interaction.options.getString('userid').trim();
+      if (!storage.listTrash({ userId, guildId: interaction.guildId }).length) {
+        return interaction.reply({ content: `❌ User ID \`${userId}\` is not in the trash.`, flags: MessageFlags.Ephemeral });
+      }
+      const { restored } = storage.restoreTrash({ userId, guildId: interaction.guildId });
+      await interaction.reply({
+        content: restored.length
+          ? `♻️ Restored **${formatUserDisplay(restored[0])}** (\`${userId}\`).`
+          : `ℹ️ User ID \`${userId}\` has re-verified since; their current record was kept.`,
+        flags: MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    // /rotatekey
+    if (cmd === 'rotatekey') {
+      if (!tokenCipher.enabled) {
+        return interaction.reply({ content: '❌ TOKEN_KEYS is not configured; tokens are stored unencrypted.', flags: MessageFlags.Ephemeral });
       }
-      delete users[userId];
-      saveJson(USERS_FILE, users);
-      await interaction.reply({ content: `🗑️ Removed user ID \`${userId}\` from users.json.`, flags: MessageFlags.Ephemeral });
+      let rotated = 0;
+      const failed = [];
+      storage.transaction(() => {
+        for (const u of storage.listUsers()) {
+          if (!tokenCipher.needsRotation(u)) continue;
+          try {
+            storage.putUser(tokenCipher.rotateUser(u));
+            rotated++;
+          } catch (err) {
+            console.error(`⚠️ Could not re-encrypt tokens for ${u.id}:`, err.message);
+            failed.push(u.id);
+          }
+        }
+      });
+      await interaction.reply({
+        content: `🔐 Re-encrypted tokens for **${rotated}** users with key \`${tokenCipher.activeKeyId}\`.` +
+          (failed.length ? ` Failed: **${failed.length}** (missing key?) — first: \`${failed.slice(0, 5).join('`, `')}\`` : ''),
+        flags: MessageFlags.Ephemeral
+      });
       return;
     }
 
     // /removeall
     if (cmd === 'removeall') {
-      users = {};
-      saveJson(USERS_FILE, users);
-      await interaction.reply({ content: '🧹 All users have been removed from users.json.', flags: MessageFlags.Ephemeral });
+      const total = scopedUsers(interaction).length;
+      if (total === 0) {
+        return interaction.reply({ content: 'No verified users stored.', flags: MessageFlags.Ephemeral });
+      }
+      const row = buildConfirmRow(interaction.user.id, async (btn) => {
+        const batch = await removeUsers(interaction, scopedUsers(interaction).map(u => u.id), '/removeall', { guildOnly: true });
+        await btn.update({
+          content: `🧹 All ${batch.users.length} users have been removed from ${interaction.guildId ? 'this server\'s verified users' : 'stored users'}. Undo with \`/undo batch:${batch.batchId}\`.`,
+          components: []
+        });
+      });
+      await interaction.reply({
+        content: `⚠️ Remove **all ${total}** ${interaction.guildId ? 'users verified in this server' : 'verified users'}? They can be restored with /undo for ${Math.round(TRASH_RETENTION / 86400000)} days.`,
+        components: [row],
+        flags: MessageFlags.Ephemeral
+      });
       return;
     }
   } catch (err) {
+    outcome = 'error';
     console.error('interactionCreate error:', err);
     try { if (interaction.replied || interaction.deferred) await interaction.followUp({ content: '❌ An error occurred.', flags: MessageFlags.Ephemeral }); else await interaction.reply({ content: '❌ An error occurred.', flags: MessageFlags.Ephemeral }); } catch {}
+  } finally {
+    // Buttons are labelled by their customId prefix so the label set stays small
+    const kind = interaction.isChatInputCommand() ? 'command' : interaction.isButton() ? 'button' : 'other';
+    const name = interaction.isChatInputCommand() ? interaction.commandName : interaction.customId?.split(':')[0] || 'unknown';
+    endTimer({ kind, name, outcome });
   }
 });
 
 // Express server for OAuth2 callback — assigns Verified role after storing user
 const app = express();
+// req.ip honours X-Forwarded-For only from these proxies, so clients can't spoof their address
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 const PORT = process.env.PORT || 3000;
 
+// Admin web login (/login) guarding /upload and /admin/*
+if (!process.env.ADMIN_PASSWORD_HASH && process.env.ADMIN_PASS) {
+  console.warn('⚠️ ADMIN_PASS is deprecated; set ADMIN_PASSWORD_HASH instead (npm run hash-password).');
+}
+if (!process.env.ADMIN_PASSWORD_HASH && !process.env.ADMIN_PASS) console.warn('⚠️ No admin password configured; web admin login is disabled.');
+if (!process.env.SESSION_SECRET) console.warn('⚠️ SESSION_SECRET not set; admin sessions will end when the bot restarts.');
+const adminAuth = createAdminAuth({
+  secret: process.env.SESSION_SECRET || crypto.randomBytes(32),
+  passwordHash: process.env.ADMIN_PASSWORD_HASH || (process.env.ADMIN_PASS ? hashPassword(process.env.ADMIN_PASS) : null),
+  secureCookies: PUBLIC_URL.startsWith('https:')
+});
+const { requireAdmin, verifyCsrf, csrfField } = adminAuth;
+
+// Helper: read one cookie from the request (no cookie-parser needed for a single value)
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const idx = part.indexOf('=');
+    if (idx > 0 && part.slice(0, idx).trim() === name) return decodeURIComponent(part.slice(idx + 1).trim());
+  }
+  return null;
+}
+
+// Helper: /config lines for the branding setting
+function describeBranding(branding) {
+  return [
+    `Logo: ${branding.logo || 'server icon'}`,
+    `Color: ${branding.color || DEFAULT_THEME.color}`,
+    `Return link: ${branding.return_url || 'this server in Discord'}`
+  ].join('\n');
+}
+
+// Helper: branding of a guild's member-facing pages (the `branding` setting, else the guild's own name and icon)
+function pageTheme(guildId) {
+  if (!guildId) return DEFAULT_THEME;
+  const { branding } = guildConfig.get(guildId);
+  const guild = client.guilds.cache.get(guildId);
+  return {
+    name: guild?.name || null,
+    logo: branding.logo || guild?.iconURL({ extension: 'png', size: 128 }) || null,
+    color: branding.color || DEFAULT_THEME.color,
+    returnUrl: branding.return_url || `https://discord.com/channels/${guildId}`
+  };
+}
+
+// Helper: localized error page (kinds in src/web/memberPages.js); details: { guildId, locale, gate, params }
+function sendErrorPage(req, res, kind, { guildId, locale, ...details } = {}) {
+  callbackErrors.inc({ type: kind });
+  const { status, html } = renderErrorPage(kind, {
+    locale: locale || pickLocale(req.get('accept-language')),
+    theme: pageTheme(guildId),
+    ...details
+  });
+  res.status(status).send(html);
+}
+
+// Helper: plain page for members (not admins), same look as the verification pages
+function sendUserPage(res, title, body, { status = 200, tone = 'neutral' } = {}) {
+  res.status(status).send(renderMemberPage({ title, body, tone }));
+}
+
+// Entry point for panel buttons: mint a fresh state bound to this browser, then go to Discord
+app.get('/verify', (req, res) => {
+  const panel = stateManager.verifyPanel(req.query.panel);
+  if (!panel) {
+    return sendErrorPage(req, res, 'invalid_link');
+  }
+  const { state, nonce } = stateManager.issue(panel);
+  res.setHeader('Set-Cookie', `${STATE_COOKIE}=${encodeURIComponent(nonce)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${Math.floor(stateManager.ttlMs / 1000)}${PUBLIC_URL.startsWith('https:') ? '; Secure' : ''}`);
+  res.redirect(buildOAuthUrl(state));
+});
+
 app.get('/callback', async (req, res) => {
   const code = req.query.code;
-  const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress || 'Unknown';
+  const ip = req.ip || 'Unknown';
+
+  const verifiedState = stateManager.consume(req.query.state, readCookie(req, STATE_COOKIE));
+  res.setHeader('Set-Cookie', `${STATE_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+  // Discord sends the member back with ?error= when they cancel (access_denied) or the request was bad
+  if (req.query.error) {
+    if (req.query.error !== 'access_denied') console.warn(`Discord returned authorization error ${req.query.error}: ${req.query.error_description || ''}`);
+    return sendErrorPage(req, res, req.query.error === 'access_denied' ? 'denied' : 'server', { guildId: verifiedState.guildId });
+  }
+  if (verifiedState.error) {
+    console.warn(`Rejected callback with ${verifiedState.error} state from ${ip}`);
+    return sendErrorPage(req, res, `state_${verifiedState.error}`);
+  }
 
   if (!code) {
-    return res.status(400).send('Missing code.');
+    return sendErrorPage(req, res, 'missing_code', { guildId: verifiedState.guildId });
   }
 
   try {
@@ -608,14 +2165,23 @@ app.get('/callback', async (req, res) => {
     const tokenData = await tokenRes.json();
 
     if (!tokenData || !tokenData.access_token) {
+      // invalid_grant: the code expired or was already exchanged (e.g. the page was reloaded)
+      if (tokenData?.error === 'invalid_grant') {
+        return sendErrorPage(req, res, 'code_expired', { guildId: verifiedState.guildId });
+      }
       console.error('No access token received:', tokenData);
-      return res.status(500).send('Failed to get access token from Discord.');
+      return sendErrorPage(req, res, 'server', { guildId: verifiedState.guildId });
     }
 
     const userRes = await fetch('https://discord.com/api/users/@me', {
       headers: { Authorization: `${tokenData.token_type} ${tokenData.access_token}` }
     });
     const userData = await userRes.json();
+    if (!userData?.id) {
+      console.error('Failed to fetch the user after authorization:', userRes.status, userData);
+      return sendErrorPage(req, res, 'server', { guildId: verifiedState.guildId });
+    }
+    const locale = pickLocale(userData.locale, req.get('accept-language'));
 
     // Build robust display name
     const maybeName =
@@ -623,180 +2189,348 @@ app.get('/callback', async (req, res) => {
     const discriminator = (userData.discriminator && userData.discriminator !== '0') ? `#${userData.discriminator}` : '';
     const fullUsername = (maybeName || 'UnknownUser') + discriminator;
 
-    // store
-    users = loadJson(USERS_FILE); // reload to not clobber concurrent changes
-    users[userData.id] = {
+    // Verification requirements come before anything is stored or granted
+    const { guildId, panelId } = verifiedState;
+    const { gates } = guildConfig.get(guildId);
+    const isMember = gates.require_member
+      ? Boolean(await client.guilds.cache.get(guildId)?.members.fetch(userData.id).catch(() => null))
+      : undefined;
+    const gate = evaluateGates(gates, { userId: userData.id, isMember });
+    if (gate.passed === false) {
+      console.log(`⛔ ${fullUsername} (${userData.id}) failed the ${gate.gate} gate in guild ${guildId}`);
+      await auditLog.gateFailed({ guildId, user: userData, username: fullUsername, gate: gate.gate, label: GATE_LABELS[gate.gate], reason: gate.reason });
+      return sendErrorPage(req, res, 'gate', { guildId, locale, gate: gate.gate, params: gate.params });
+    }
+    if (gate.pending) {
+      const request = await auditLog.approvalRequested({ guildId, user: userData, username: fullUsername, components: [buildApprovalRow(guildId, userData.id)] });
+      if (!request) {
+        console.warn(`Approval request for ${userData.id} in guild ${guildId} could not be posted (log channel missing?)`);
+        return sendErrorPage(req, res, 'approval_unavailable', { guildId, locale });
+      }
+    }
+
+    // store (keeping the per-guild history from earlier verifications)
+    const verifiedAt = new Date().toISOString();
+    const previous = storage.getUser(userData.id);
+    storage.putUser({
       id: userData.id,
       username: fullUsername,
-      verifiedAt: new Date().toISOString(),
-      ip,
+      verifiedAt,
+      ip: ipPolicy.toStored(req.ip),
       avatar: userData.avatar || null,
-      access_token: tokenData.access_token,
-      refresh_token: tokenData.refresh_token || null
-    };
-    saveJson(USERS_FILE, users);
+      access_token: tokenCipher.seal(tokenData.access_token),
+      refresh_token: tokenCipher.seal(tokenData.refresh_token || null),
+      token_health: grantedTokenHealth(tokenData),
+      guilds: { ...(previous?.guilds || {}), [guildId]: { verifiedAt, panelId, ...(gate.pending ? { approval: 'pending' } : {}) } }
+    });
 
-    // Assign Verified role (if possible)
-    try {
-      const guild = await client.guilds.fetch(GUILD_ID).catch(() => null);
-      if (guild) {
-        // Try to fetch member; if member isn't in guild, we can't assign role
-        const member = await guild.members.fetch(userData.id).catch(() => null);
-        if (member) {
-          await member.roles.add(VERIFIED_ROLE_ID).catch((e) => {
-            console.warn('Failed to add Verified role:', e?.message || e);
-          });
-          console.log(`Assigned Verified role to ${fullUsername} (${userData.id})`);
-        } else {
-          console.log(`User ${userData.id} isn't a member of guild ${GUILD_ID}; skipped role add.`);
-        }
-      } else {
-        console.log('Guild fetch failed for Verified role assignment.');
-      }
-    } catch (err) {
-      console.error('Error assigning Verified role:', err);
+    if (gate.pending) {
+      console.log(`📝 ${fullUsername} (${userData.id}) is waiting for approval in guild ${guildId}`);
+      verificationsTotal.inc({ result: 'pending' });
+      return res.send(renderPendingPage({ locale, theme: pageTheme(guildId), name: fullUsername }));
     }
 
+    // Assign the guild's Verified role (if possible)
+    const role = await memberActions.assignVerifiedRole(guildId, userData.id);
+    if (role.status === 'assigned') console.log(`Assigned Verified role to ${fullUsername} (${userData.id})`);
+    else if (role.status === 'failed') console.warn('Failed to add Verified role:', role.error);
+    else if (role.status === 'not_member') console.log(`User ${userData.id} isn't a member of guild ${guildId}; skipped role add.`);
+    else if (role.status === 'guild_unavailable') console.log('Guild fetch failed for Verified role assignment.');
+    recordRoleResult('callback', role);
+
+    verificationsTotal.inc({ result: 'verified' });
+    countPanelVerification(guildId, panelId);
+
     // Log to configured channel (if set)
-    if (config.verified_channel) {
-      const channel = await client.channels.fetch(config.verified_channel).catch(() => null);
-      if (channel) {
-        const display = userData.global_name || userData.username || 'UnknownUser';
-        await channel.send({
-          content: `✅ ${display} verified.`,
-          files: [USERS_FILE]
-        }).catch((e) => console.warn('Failed to send verified log message:', e?.message || e));
-      }
-    }
-
-    // Render a nice success page
-    res.send(`<!DOCTYPE html>
-<html lang="en">
-<head>
-<meta charset="utf-8" />
-<meta name="viewport" content="width=device-width,initial-scale=1" />
-<title>Verified Successfully</title>
-<style>
-  :root { --g1:#0f2027; --g2:#203a43; --g3:#2c5364; --accent1:#00b894; --accent2:#00e676; }
-  html,body{height:100%;margin:0;font-family:Segoe UI,Roboto,Helvetica,Arial,sans-serif;background:radial-gradient(circle at top, var(--g1),var(--g2),var(--g3));color:#fff}
-  .card{margin:6vh auto;padding:30px;border-radius:14px;background:rgba(255,255,255,0.04);max-width:420px;text-align:center;backdrop-filter:blur(10px);box-shadow:0 10px 30px rgba(0,0,0,0.5)}
-  img.avatar{width:110px;height:110px;border-radius:50%;border:3px solid var(--accent2);object-fit:cover;margin-bottom:16px}
-  h1{margin:0 0 10px;font-size:1.8rem;color:var(--accent2)}
-  p{margin:6px 0;color:#e6f2ef}
-  .username{color:var(--accent1);font-weight:700}
-  .btn{display:inline-block;margin-top:18px;padding:12px 22px;border-radius:10px;color:#fff;text-decoration:none;font-weight:700;background:linear-gradient(135deg,var(--accent1),var(--accent2));transition:transform .18s ease}
-  .btn:hover{transform:scale(1.03)}
-  .muted{font-size:.85rem;color:#cde8df;margin-top:8px}
-</style>
-</head>
-<body>
-  <div class="card">
-    <img class="avatar" src="https://cdn.discordapp.com/avatars/${userData.id}/${userData.avatar}.png" onerror="this.src='https://cdn.discordapp.com/embed/avatars/0.png'"/>
-    <h1>✅ Verified Successfully!</h1>
-    <p>Welcome, <span class="username">${fullUsername}</span></p>
-    <p class="muted">Your Discord account has been verified safely.</p>
-    <a class="btn" href="https://discord.com/app">Return to Discord</a>
-  </div>
-</body>
-</html>`);
+    await auditLog.verified({ guildId, user: userData, username: fullUsername, role });
+
+    res.send(renderSuccessPage({
+      locale,
+      theme: pageTheme(guildId),
+      user: { id: userData.id, avatar: userData.avatar, name: fullUsername },
+      withdrawUrl: `/unverify?token=${encodeURIComponent(stateManager.signUnverify(userData.id))}`
+    }));
   } catch (err) {
     console.error('Callback error:', err);
-    return res.status(500).send('Internal server error during verification.');
+    return sendErrorPage(req, res, 'server', { guildId: verifiedState.guildId });
+  }
+});
+
+// Self-service withdrawal, linked from the success page. GET only asks; the POST does it.
+app.get('/unverify', (req, res) => {
+  const userId = stateManager.verifyUnverify(req.query.token);
+  if (!userId) {
+    return sendUserPage(res, '❌ Invalid link', '<p>This link is invalid or has expired. Use <code>/unverify</code> in Discord instead.</p>', { status: 400, tone: 'error' });
+  }
+  if (!storage.getUser(userId)) {
+    return sendUserPage(res, 'Nothing to delete', '<p>No data is stored about you.</p>');
   }
+  sendUserPage(res, 'Withdraw your verification?', `
+    <p>This revokes the bot's access to your Discord account, removes the verified role in every server you verified in, and deletes everything stored about you.</p>
+    <form method="POST" action="/unverify">
+      <input type="hidden" name="token" value="${escapeHtml(req.query.token)}">
+      <button type="submit">Withdraw and delete my data</button>
+    </form>`);
 });
 
-// Presence listener: add/remove media role when custom status equals exactly "/grin"
+app.post('/unverify', express.urlencoded({ extended: false }), async (req, res) => {
+  const userId = stateManager.verifyUnverify(req.body.token);
+  if (!userId) {
+    return sendUserPage(res, '❌ Invalid link', '<p>This link is invalid or has expired. Use <code>/unverify</code> in Discord instead.</p>', { status: 400, tone: 'error' });
+  }
+  try {
+    const result = await memberActions.unverify(userId);
+    if (result) console.log(`🚪 User ${userId} unverified themselves (web)`);
+    sendUserPage(res, result ? '✅ Verification withdrawn' : 'Nothing to delete',
+      `<p>${result ? escapeHtml(describeUnverify(result)) : 'No data is stored about you.'}</p>`);
+  } catch (err) {
+    console.error('Unverify error:', err);
+    sendUserPage(res, '❌ Something went wrong', '<p>Your data could not be deleted. Please try again or use <code>/unverify</code> in Discord.</p>', { status: 500, tone: 'error' });
+  }
+});
+
+// Returning verified users get the role back as soon as they join
+client.on('guildMemberAdd', async (member) => {
+  try {
+    if (!roleSync.isVerifiedIn(storage.getUser(member.id), member.guild.id)) return;
+    const role = await memberActions.assignVerifiedRole(member.guild.id, member.id);
+    recordRoleResult('rejoin', role);
+    if (role.status === 'assigned') console.log(`Re-assigned Verified role to returning member ${member.user.tag}`);
+    else if (role.status === 'failed') console.warn(`Failed to re-assign Verified role to ${member.user.tag}:`, role.error);
+  } catch (err) {
+    console.error('guildMemberAdd error:', err);
+  }
+});
+
+// Presence listener: apply the guild's status role rules (see src/statusRoles.js)
 client.on('presenceUpdate', async (oldPresence, newPresence) => {
   try {
-    if (!newPresence) return;
-    // Only handle presences in the configured guild
-    if (!newPresence.guild || newPresence.guild.id !== GUILD_ID) return;
-
-    const member = newPresence.member;
-    if (!member) return;
-
-    // custom status is activity of type 4
-    const custom = newPresence.activities?.find(a => a.type === 4);
-    const state = (custom && typeof custom.state === 'string') ? custom.state.trim() : '';
-
-    // Exactly "/grin" -> give role; otherwise remove role if present
-    if (state.toLowerCase().includes('/grin')) {
-      if (!member.roles.cache.has(MEDIA_ROLE_ID)) {
-        await member.roles.add(MEDIA_ROLE_ID).catch((e) => {
-          console.warn(`Failed to add media role to ${member.user.tag}:`, e?.message || e);
-        });
-        console.log(`Added media role to ${member.user.tag}`);
-      }
-    } else {
-      if (member.roles.cache.has(MEDIA_ROLE_ID)) {
-        await member.roles.remove(MEDIA_ROLE_ID).catch((e) => {
-          console.warn(`Failed to remove media role from ${member.user.tag}:`, e?.message || e);
-        });
-        console.log(`Removed media role from ${member.user.tag}`);
-      }
-    }
+    if (!newPresence?.guild || !newPresence.member) return;
+    await statusRoles.apply(newPresence.member, newPresence);
   } catch (err) {
     console.error('presenceUpdate error:', err);
   }
 });
 import multer from 'multer';
+
+// Liveness: the process is up and serving HTTP
+app.get('/healthz', (req, res) => {
+  res.type('text').send('ok');
+});
+
+// Readiness: connected to Discord and able to write to storage
+app.get('/readyz', (req, res) => {
+  const checks = { discord: client.isReady() ? 'ok' : `not ready (gateway status ${client.ws.status})` };
+  try {
+    storage.checkWritable();
+    checks.storage = 'ok';
+  } catch (err) {
+    checks.storage = `not writable: ${err.message}`;
+  }
+  const ready = Object.values(checks).every(c => c === 'ok');
+  res.status(ready ? 200 : 503).json({ ready, checks });
+});
+
+// Prometheus scrape endpoint (METRICS_TOKEN, if set, is required as a bearer token)
+app.get('/metrics', (req, res) => {
+  if (process.env.METRICS_TOKEN) {
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    const given = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!crypto.timingSafeEqual(digest(given), digest(process.env.METRICS_TOKEN))) {
+      return res.status(401).type('text').send('Unauthorized');
+    }
+  }
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
 app.use(express.urlencoded({ extended: true }));
+app.use(adminAuth.router);
+app.use('/admin', createDashboard({ storage, guildConfig, memberActions, client, auth: adminAuth }).router);
 const upload = multer({ dest: 'uploads/' });
 
+// Validated uploads waiting for the admin to pick replace/merge (token -> { records, filename, expiresAt })
+const pendingUploads = new Map();
+const UPLOAD_TTL = 10 * 60 * 1000;
+
+// Helper: compare records with tokens decrypted, so re-encryption alone doesn't count as a change
+function sameUserRecord(a, b) {
+  const plain = (u) => {
+    try {
+      return JSON.stringify({ ...u, access_token: tokenCipher.open(u.access_token), refresh_token: tokenCipher.open(u.refresh_token) });
+    } catch {
+      return JSON.stringify(u);
+    }
+  };
+  return plain(a) === plain(b);
+}
+
 // Upload form (GET)
-app.get('/upload', (req, res) => {
-  res.send(`<!DOCTYPE html>
-<html lang="en">
-<head><meta charset="utf-8"/><title>Upload users.json</title>
-<style>
-  body { font-family: Arial; background: #10151a; color: #eee; display:flex; align-items:center; justify-content:center; height:100vh; }
-  form { background:#18222c; padding:30px; border-radius:10px; box-shadow:0 0 15px rgba(0,0,0,0.4); }
-  input,button { margin-top:10px; padding:8px; width:100%; border-radius:6px; border:none; }
-  input[type=password], input[type=file]{ background:#222d38; color:#fff;}
-  button { background:#00b894; color:#fff; font-weight:bold; cursor:pointer; }
-  button:hover { background:#00e676; }
-</style>
-</head>
-<body>
+app.get('/upload', requireAdmin, (req, res) => {
+  const guildOptions = [...client.guilds.cache.values()]
+    .map(g => `<option value="${escapeHtml(g.id)}">${escapeHtml(g.name)} (${escapeHtml(g.id)})</option>`).join('');
+  res.send(renderAdminPage('Upload users.json', `
 <form method="POST" action="/upload" enctype="multipart/form-data">
-  <h2>Replace users.json</h2>
-  <label>Password:</label>
-  <input type="password" name="pass" required>
+  <h2>Upload users.json</h2>
+  <p>You'll see a preview and can choose to replace or merge before anything is saved.</p>
+  ${csrfField(req)}
   <label>File:</label>
   <input type="file" name="file" accept=".json" required>
-  <button type="submit">Upload</button>
-</form>
-</body>
-</html>`);
+  <label>Server for records without a <code>guilds</code> field (older users.json files):</label>
+  <select name="guild"><option value="">None (reject such records)</option>${guildOptions}</select>
+  <button type="submit">Validate &amp; preview</button>
+</form>`, csrfField(req)));
 });
 
-// Upload handler (POST)
-app.post('/upload', upload.single('file'), (req, res) => {
-  const pass = req.body.pass;
-  if (pass !== process.env.ADMIN_PASS) {
-    if (req.file) fs.unlinkSync(req.file.path);
-    return res.status(403).send('❌ Unauthorized');
+// Upload handler (POST): validate and show a preview; nothing is written yet
+// multer runs first so the CSRF field in the multipart body is available; a rejected file is discarded
+app.post('/upload', requireAdmin, upload.single('file'), (req, res, next) => {
+  let passed = false;
+  verifyCsrf(req, res, () => { passed = true; });
+  if (passed) return next();
+  if (req.file) fs.unlink(req.file.path, () => {});
+}, (req, res) => {
+  if (!req.file) {
+    return res.status(400).send(renderAdminPage('Upload failed', '<div class="card"><h2>❌ No file uploaded</h2><a href="/upload">Try again</a></div>', csrfField(req)));
   }
 
-  const filePath = req.file.path;
+  let text;
   try {
-    const newData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    text = fs.readFileSync(req.file.path, 'utf8');
+  } catch (err) {
+    console.error('Upload error:', err);
+    return res.status(500).send('❌ Failed to read uploaded file.');
+  } finally {
+    fs.unlink(req.file.path, () => {});
+  }
 
-    // Backup current users.json if it exists
-    if (fs.existsSync(USERS_FILE)) {
-      fs.copyFileSync(USERS_FILE, USERS_FILE.replace('.json', '_backup.json'));
-    }
+  // Every server-scoped command and the role sync go by `guilds`, so untagged records need a server
+  const parsed = parseUserFile(text);
+  const guildId = client.guilds.cache.has(req.body.guild) ? req.body.guild : null;
+  const { records, tagged } = guildId ? tagUntagged(parsed.records, guildId) : { records: parsed.records, tagged: 0 };
+  const errors = guildId ? parsed.errors : [
+    ...parsed.errors,
+    ...records.filter(u => !u.guilds).map(u => ({ ref: u.id, message: 'no guilds field; pick the server these users verified in on the upload form' }))
+  ];
+  if (errors.length) {
+    const items = errors.slice(0, 500).map(e => `<li><b>${escapeHtml(e.ref)}</b>: ${escapeHtml(e.message)}</li>`).join('');
+    return res.status(422).send(renderAdminPage('Upload rejected', `
+<div class="card">
+  <h2>❌ ${errors.length} problem(s) found — nothing was changed</h2>
+  <ul class="errors">${items}</ul>
+  ${errors.length > 500 ? `<p>…and ${errors.length - 500} more.</p>` : ''}
+  <a href="/upload">Upload a corrected file</a>
+</div>`, csrfField(req)));
+  }
+
+  const current = storage.listUsers();
+  // Users who withdrew (/unverify) after these records were written stay out
+  const allowed = withoutWithdrawn(records, storage.getConfig()[WITHDRAWN_USERS_KEY]);
+  const replacePlan = planUserImport(current, allowed, 'replace', sameUserRecord);
+  const mergePlan = planUserImport(current, allowed, 'merge', sameUserRecord);
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  pendingUploads.set(token, { records, filename: req.file.originalname, expiresAt: Date.now() + UPLOAD_TTL });
+  setTimeout(() => pendingUploads.delete(token), UPLOAD_TTL).unref();
+
+  const row = (label, p) => `<tr><td>${label}</td><td>${p.added}</td><td>${p.changed}</td><td>${p.removed}</td><td>${p.records.length}</td></tr>`;
+  res.send(renderAdminPage('Upload preview', `
+<form method="POST" action="/upload/apply">
+  <h2>Preview: ${escapeHtml(req.file.originalname)}</h2>
+  <p>${records.length} valid records${tagged ? ` (${tagged} without a <code>guilds</code> field attributed to server ${escapeHtml(guildId)})` : ''}.${records.length > allowed.length ? ` ${records.length - allowed.length} users who withdrew since are left out.` : ''} Currently stored: ${current.length}.</p>
+  <table>
+    <tr><th>Mode</th><th>Added</th><th>Changed</th><th>Removed</th><th>Total after</th></tr>
+    ${row('Replace', replacePlan)}
+    ${row('Merge (newer verifiedAt wins, other servers and token health kept)', mergePlan)}
+  </table>
+  <label><input type="radio" name="mode" value="merge" checked>Merge</label><br>
+  <label><input type="radio" name="mode" value="replace">Replace everything</label>
+  <input type="hidden" name="token" value="${token}">
+  ${csrfField(req)}
+  <button type="submit">Apply</button>
+  <p><a href="/upload">Cancel</a> (this preview expires in ${UPLOAD_TTL / 60000} minutes)</p>
+</form>`, csrfField(req)));
+});
 
-    // Replace users.json
-    fs.writeFileSync(USERS_FILE, JSON.stringify(newData, null, 2));
-    fs.unlinkSync(filePath);
+// Apply a previewed upload (one-time token from the preview)
+app.post('/upload/apply', requireAdmin, verifyCsrf, (req, res) => {
+  const pending = pendingUploads.get(req.body.token);
+  pendingUploads.delete(req.body.token);
+  if (!pending || pending.expiresAt < Date.now()) {
+    return res.status(410).send(renderAdminPage('Upload expired', '<div class="card"><h2>⌛ This preview has expired</h2><a href="/upload">Upload again</a></div>', csrfField(req)));
+  }
+  const mode = req.body.mode === 'replace' ? 'replace' : 'merge';
 
-    res.send('<h1>✅ users.json replaced successfully!</h1><p>Your new user list has been uploaded and saved.</p>');
+  try {
+    // Snapshot current users + config before changing them
+    const backup = backups.create('pre-upload');
+    console.log(`💾 Backup ${backup.id} created before upload`);
+
+    // Re-plan against current data in case it changed since the preview
+    const records = withoutWithdrawn(pending.records, storage.getConfig()[WITHDRAWN_USERS_KEY]);
+    const plan = planUserImport(storage.listUsers(), records, mode, sameUserRecord);
+    storage.replaceUsers(plan.records.map(u => tokenCipher.sealUser(u)));
+    console.log(`📤 Upload ${pending.filename} applied (${mode}): +${plan.added} ~${plan.changed} -${plan.removed}`);
+
+    res.send(renderAdminPage('Upload applied', `
+<div class="card">
+  <h2>✅ Upload applied (${mode})</h2>
+  <p>Added ${plan.added}, changed ${plan.changed}, removed ${plan.removed}. ${plan.records.length} users stored.</p>
+  <p>Previous data was backed up as <code>${escapeHtml(backup.id)}</code>.</p>
+</div>`, csrfField(req)));
   } catch (err) {
     console.error('Upload error:', err);
-    res.status(500).send('❌ Failed to process uploaded file.');
+    res.status(500).send('❌ Failed to apply uploaded file.');
   }
 });
+
+// Admin endpoints for backups. Need an admin session; POSTs also need the session's
+// CSRF token in an X-CSRF-Token header (or `_csrf` form field).
+app.get('/admin/backups', requireAdmin, (req, res) => {
+  res.json({ backups: backups.list() });
+});
+
+app.post('/admin/backups', requireAdmin, verifyCsrf, (req, res) => {
+  try {
+    res.status(201).json(backups.create('manual'));
+  } catch (err) {
+    console.error('Admin backup error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Integrity check + diff against current data, without applying anything
+app.get('/admin/backups/:id', requireAdmin, (req, res) => {
+  try {
+    const { errors, diff, snapshot } = backups.inspect(req.params.id);
+    res.status(errors.length ? 422 : 200).json({
+      id: req.params.id,
+      createdAt: snapshot?.createdAt,
+      reason: snapshot?.reason,
+      counts: snapshot?.counts,
+      errors,
+      diff: diff && { added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length }
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/admin/backups/:id/restore', requireAdmin, verifyCsrf, (req, res) => {
+  try {
+    const result = backups.restore(req.params.id);
+    console.log(`♻️ Backup ${req.params.id} restored via admin endpoint (${describeBackupDiff(result.diff)})`);
+    res.json({
+      restored: req.params.id,
+      users: result.users,
+      safetyBackupId: result.safetyBackupId,
+      diff: { added: result.diff.added.length, removed: result.diff.removed.length, changed: result.diff.changed.length }
+    });
+  } catch (err) {
+    console.error('Admin restore error:', err);
+    res.status(422).json({ error: err.message });
+  }
+});
+
 app.listen(PORT, () => console.log(`🌐 OAuth callback server listening on port ${PORT}`));
 client.login(process.env.BOT_TOKEN).catch(err => console.error('Failed to login:', err));
 
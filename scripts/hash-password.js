@@ -0,0 +1,10 @@
+// scripts/hash-password.js
+// Prints an ADMIN_PASSWORD_HASH value for .env: `npm run hash-password -- "my password"`
+import { hashPassword } from '../src/web/adminAuth.js';
+
+const password = process.argv[2];
+if (!password) {
+  console.error('Usage: npm run hash-password -- "<password>"');
+  process.exit(1);
+}
+console.log(hashPassword(password));
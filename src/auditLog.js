@@ -0,0 +1,200 @@
+// src/auditLog.js
+// Structured log embeds posted to each guild's log channel (set by /setverified or /config).
+// Which event types are posted is the guild's log_events setting (all enabled by default).
+import { EmbedBuilder, SnowflakeUtil } from 'discord.js';
+
+export const LOG_EVENTS = {
+  'verified': { label: 'Verified', color: '#00b894' },
+  'role-failed': { label: 'Role assignment failed', color: '#e67e22' },
+  'gate-failed': { label: 'Verification requirement not met', color: '#e17055' },
+  'approval': { label: 'Approval requests', color: '#fdcb6e' },
+  'removed': { label: 'Users removed', color: '#e74c3c' },
+  'unverified': { label: 'Users unverified themselves', color: '#636e72' },
+  'token-expired': { label: 'Tokens expired', color: '#95a5a6' },
+  'restore': { label: 'Restore results', color: '#3498db' },
+  'role-sync': { label: 'Verified role sync', color: '#00cec9' }
+};
+
+// Discord timestamp markup, rendered in the viewer's timezone
+function ts(ms, style = 'f') {
+  return `<t:${Math.floor(ms / 1000)}:${style}>`;
+}
+
+function avatarUrl(id, avatar) {
+  return avatar
+    ? `https://cdn.discordapp.com/avatars/${id}/${avatar}.png`
+    : 'https://cdn.discordapp.com/embed/avatars/0.png';
+}
+
+// Embed descriptions cap at 4096 chars; keep lists well under that
+function listLines(lines, max = 25) {
+  const shown = lines.slice(0, max);
+  if (lines.length > max) shown.push(`…and ${lines.length - max} more`);
+  return shown.join('\n');
+}
+
+// Group users by the guilds they're verified in: Map<guildId, users[]>
+function byGuild(users) {
+  const out = new Map();
+  for (const u of users) {
+    for (const guildId of Object.keys(u.guilds || {})) {
+      if (!out.has(guildId)) out.set(guildId, []);
+      out.get(guildId).push(u);
+    }
+  }
+  return out;
+}
+
+export function createAuditLog({ client, guildConfig }) {
+  function enabledEvents(guildId) {
+    const configured = guildConfig.get(guildId).log_events;
+    return Array.isArray(configured) ? configured : Object.keys(LOG_EVENTS);
+  }
+
+  // Returns the sent message, or null when the event is disabled or can't be posted
+  async function send(guildId, type, embed, components = []) {
+    if (!guildId || !enabledEvents(guildId).includes(type)) return null;
+    const { log_channel } = guildConfig.get(guildId);
+    if (!log_channel) return null;
+    const channel = await client.channels.fetch(log_channel).catch(() => null);
+    if (!channel) return null;
+    embed.setColor(LOG_EVENTS[type].color).setFooter({ text: LOG_EVENTS[type].label }).setTimestamp(new Date());
+    return channel.send({ embeds: [embed], components })
+      .catch((e) => {
+        console.warn(`Failed to send ${type} log message:`, e?.message || e);
+        return null;
+      });
+  }
+
+  return {
+    enabledEvents,
+
+    setEventEnabled(guildId, type, enabled) {
+      const current = new Set(enabledEvents(guildId));
+      if (enabled) current.add(type);
+      else current.delete(type);
+      guildConfig.set(guildId, 'log_events', Object.keys(LOG_EVENTS).filter(t => current.has(t)));
+    },
+
+    // role: { status: 'assigned' | 'failed' | 'not_member' | 'not_configured' | 'guild_unavailable', error? }
+    async verified({ guildId, user, username, role }) {
+      const createdAt = SnowflakeUtil.timestampFrom(user.id);
+      const roleText = {
+        assigned: '✅ Verified role assigned',
+        failed: `❌ Failed: ${role.error || 'unknown error'}`,
+        not_member: '➖ Skipped (not a member)',
+        not_configured: '➖ No verified role configured',
+        guild_unavailable: '⚠️ Guild unavailable'
+      }[role.status];
+      const memberText = role.status === 'not_member' ? '❌ Not in guild'
+        : ['guild_unavailable', 'not_configured'].includes(role.status) ? '❔ Unknown' : '✅ Member';
+
+      await send(guildId, 'verified', new EmbedBuilder()
+        .setTitle('✅ User verified')
+        .setThumbnail(avatarUrl(user.id, user.avatar))
+        .addFields(
+          { name: 'User', value: `<@${user.id}> (${username})\n\`${user.id}\``, inline: false },
+          { name: 'Account created', value: `${ts(createdAt, 'D')} (${ts(createdAt, 'R')})`, inline: true },
+          { name: 'Verified at', value: ts(Date.now()), inline: true },
+          { name: 'Guild membership', value: memberText, inline: true },
+          { name: 'Role assignment', value: roleText, inline: false }
+        ));
+
+      if (role.status === 'failed') {
+        await send(guildId, 'role-failed', new EmbedBuilder()
+          .setTitle('⚠️ Verified role could not be assigned')
+          .setDescription(`<@${user.id}> (\`${user.id}\`)\n${role.error || 'unknown error'}`));
+      }
+    },
+
+    // users: [{ id, username, guilds }], by: invoking user id (omit for automatic removals).
+    // Logged in guildId (where the command ran) or, if omitted, in each guild the users were verified in.
+    // guildOnly: only the verification in guildId was removed, other guilds keep theirs.
+    async removed({ guildId, guildOnly = false, users, by, reason }) {
+      if (!users.length) return;
+      const groups = guildId ? new Map([[guildId, users]]) : byGuild(users);
+      for (const [gid, list] of groups) {
+        await send(gid, 'removed', new EmbedBuilder()
+          .setTitle(`🗑️ ${list.length} user(s) removed${guildOnly ? ' from this server' : ''}`)
+          .setDescription(listLines(list.map(u => `• **${u.username || 'UnknownUser'}** | \`${u.id}\``)))
+          .addFields(
+            { name: 'Reason', value: reason, inline: true },
+            { name: 'By', value: by ? `<@${by}>` : 'System', inline: true }
+          ));
+      }
+    },
+
+    // users: [{ id, username, guilds, reason }] — logged in each guild the users were verified in
+    async tokenExpired({ users }) {
+      for (const [gid, list] of byGuild(users)) {
+        await send(gid, 'token-expired', new EmbedBuilder()
+          .setTitle(`⌛ ${list.length} token(s) expired or revoked`)
+          .setDescription(listLines(list.map(u => `• **${u.username || 'UnknownUser'}** | \`${u.id}\` — ${u.reason}`))));
+      }
+    },
+
+    // gate: key of GATE_LABELS (src/gates.js) that the user failed
+    async gateFailed({ guildId, user, username, gate, label, reason }) {
+      await send(guildId, 'gate-failed', new EmbedBuilder()
+        .setTitle('⛔ Verification requirement not met')
+        .setThumbnail(avatarUrl(user.id, user.avatar))
+        .addFields(
+          { name: 'User', value: `<@${user.id}> (${username})\n\`${user.id}\``, inline: false },
+          { name: 'Requirement', value: label, inline: true },
+          { name: 'Details', value: reason, inline: false }
+        ));
+    },
+
+    // Posts the approve/deny request for moderators; returns the message or null if it couldn't be posted
+    async approvalRequested({ guildId, user, username, components }) {
+      const createdAt = SnowflakeUtil.timestampFrom(user.id);
+      return send(guildId, 'approval', new EmbedBuilder()
+        .setTitle('📝 Verification awaiting approval')
+        .setThumbnail(avatarUrl(user.id, user.avatar))
+        .addFields(
+          { name: 'User', value: `<@${user.id}> (${username})\n\`${user.id}\``, inline: false },
+          { name: 'Account created', value: `${ts(createdAt, 'D')} (${ts(createdAt, 'R')})`, inline: true },
+          { name: 'Requested at', value: ts(Date.now()), inline: true }
+        ), components);
+    },
+
+    // A user withdrew their verification (/unverify or the web link); logged in each guild they verified in.
+    // roles: [{ guildId, status: 'removed' | 'failed' | ..., error? }]
+    async unverified({ user, revoked, roles }) {
+      for (const { guildId, status, error } of roles) {
+        await send(guildId, 'unverified', new EmbedBuilder()
+          .setTitle('🚪 User withdrew their verification')
+          .addFields(
+            { name: 'User', value: `<@${user.id}> (${user.username || 'UnknownUser'})\n\`${user.id}\``, inline: false },
+            { name: 'OAuth grant', value: revoked ? '✅ Revoked' : '⚠️ Could not be revoked', inline: true },
+            { name: 'Verified role', value: status === 'removed' ? '✅ Removed' : status === 'failed' ? `❌ ${error || 'Failed'}` : '➖ Nothing to remove', inline: true }
+          ));
+      }
+    },
+
+    // Result of a verified role sync that changed something; members are GuildMembers
+    async roleSync({ guildId, granted, removed, failed, trigger }) {
+      if (!granted.length && !removed.length && !failed.length) return;
+      const list = members => listLines(members.map(m => `• <@${m.id}> \`${m.id}\``), 10) || 'None';
+      await send(guildId, 'role-sync', new EmbedBuilder()
+        .setTitle('🔁 Verified role synced')
+        .setDescription(`Trigger: ${trigger}`)
+        .addFields(
+          { name: `Granted (${granted.length})`, value: list(granted), inline: true },
+          { name: `Removed (${removed.length})`, value: list(removed), inline: true },
+          { name: `Failed (${failed.length})`, value: listLines(failed.map(f => `• <@${f.member.id}> — ${f.error}`), 10) || 'None', inline: false }
+        ));
+    },
+
+    // guildId: where the command ran; targetGuildId: the server members were added to
+    async restore({ guildId, targetGuildId, by, success, alreadyMember = 0, failed, total }) {
+      await send(guildId, 'restore', new EmbedBuilder()
+        .setTitle('📥 Member restore finished')
+        .addFields(
+          { name: 'Target server', value: `\`${targetGuildId}\``, inline: true },
+          { name: 'By', value: `<@${by}>`, inline: true },
+          { name: 'Result', value: `Added: **${success}** · Already members: **${alreadyMember}** · Failed: **${failed}** · Total: **${total}**`, inline: false }
+        ));
+    }
+  };
+}
@@ -0,0 +1,151 @@
+// src/backups.js
+// Timestamped snapshots of users + config in BACKUP_DIR, pruned by count and age.
+// Each file carries a checksum and record counts so a restore can be checked before it's applied.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { validateUserRecord, diffUsers } from './userSchema.js';
+
+const FORMAT_VERSION = 1;
+// Config key: { [userId]: ISO time } of users who withdrew (/unverify). Their records in older
+// backups and uploads are left out; records from a later re-verification are kept. Entries older
+// than every remaining backup are pruned with the backups.
+export const WITHDRAWN_USERS_KEY = 'withdrawn_users';
+// Backup IDs are file names without .json: <timestamp>_<reason>
+const ID_PATTERN = /^[0-9TZ-]+_[a-z0-9-]+$/;
+
+function checksum(users, config) {
+  return crypto.createHash('sha256').update(JSON.stringify({ users, config })).digest('hex');
+}
+
+// Drops records the user withdrew after they were written
+export function withoutWithdrawn(users, withdrawn = {}) {
+  return users.filter(u => !withdrawn[u.id] || (u.verifiedAt || '') > withdrawn[u.id]);
+}
+
+export function createBackupManager({ storage, dir, keep = 30, maxAgeMs = 30 * 24 * 60 * 60 * 1000 }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  function fileFor(id) {
+    if (!ID_PATTERN.test(id)) throw new Error(`Invalid backup id "${id}"`);
+    return path.join(dir, `${id}.json`);
+  }
+
+  function list() {
+    return fs.readdirSync(dir)
+      .filter(f => f.endsWith('.json') && ID_PATTERN.test(f.slice(0, -5)))
+      .map((f) => {
+        const id = f.slice(0, -5);
+        const stat = fs.statSync(path.join(dir, f));
+        let meta = {};
+        try {
+          const { createdAt, reason, counts } = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+          meta = { createdAt, reason, counts };
+        } catch {
+          meta = { corrupt: true };
+        }
+        return { id, size: stat.size, createdAt: meta.createdAt || stat.mtime.toISOString(), ...meta };
+      })
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  function create(reason = 'manual') {
+    const createdAt = new Date().toISOString();
+    const users = storage.listUsers();
+    const config = storage.getConfig();
+    const id = `${createdAt.replace(/[:.]/g, '-')}_${reason.toLowerCase().replace(/[^a-z0-9-]/g, '-')}`;
+    const snapshot = {
+      version: FORMAT_VERSION,
+      createdAt,
+      reason,
+      counts: { users: users.length, configKeys: Object.keys(config).length },
+      checksum: checksum(users, config),
+      users,
+      config
+    };
+    const file = fileFor(id);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(snapshot), 'utf8');
+    fs.renameSync(`${file}.tmp`, file);
+    prune();
+    return { id, ...snapshot.counts };
+  }
+
+  // Keep the newest `keep` backups, and nothing older than maxAgeMs (the newest one always survives)
+  function prune() {
+    const cutoff = new Date(Date.now() - maxAgeMs).toISOString();
+    const removed = [];
+    list().forEach((b, i) => {
+      if (i === 0) return;
+      if (i >= keep || b.createdAt < cutoff) {
+        fs.unlinkSync(fileFor(b.id));
+        removed.push(b.id);
+      }
+    });
+    pruneWithdrawals();
+    return removed;
+  }
+
+  // A backup taken after a withdrawal only holds that user if they verified again, which
+  // withoutWithdrawn keeps anyway, so withdrawals older than the oldest backup are dropped
+  function pruneWithdrawals() {
+    const oldest = list().at(-1)?.createdAt;
+    const withdrawn = storage.getConfig()[WITHDRAWN_USERS_KEY];
+    if (!oldest || !withdrawn) return;
+    const kept = Object.fromEntries(Object.entries(withdrawn).filter(([, at]) => at >= oldest));
+    if (Object.keys(kept).length === Object.keys(withdrawn).length) return;
+    storage.setConfig(WITHDRAWN_USERS_KEY, Object.keys(kept).length ? kept : undefined);
+  }
+
+  // Load and check a backup. Returns { snapshot, errors, diff, users, withdrawn }; restore only if errors is empty.
+  // users: the records a restore applies (snapshot minus withdrawn users), withdrawn: how many were left out.
+  function inspect(id) {
+    const file = fileFor(id);
+    if (!fs.existsSync(file)) return { errors: [`Backup "${id}" not found`] };
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      return { errors: [`Backup is not valid JSON: ${err.message}`] };
+    }
+
+    const errors = [];
+    if (snapshot.version !== FORMAT_VERSION) errors.push(`Unsupported backup format version ${snapshot.version}`);
+    if (!Array.isArray(snapshot.users)) errors.push('Backup has no users list');
+    if (!snapshot.config || typeof snapshot.config !== 'object') errors.push('Backup has no config object');
+    if (errors.length) return { errors };
+
+    if (snapshot.checksum !== checksum(snapshot.users, snapshot.config)) errors.push('Checksum mismatch (file was modified or truncated)');
+    if (snapshot.counts?.users !== snapshot.users.length) {
+      errors.push(`Record count mismatch: header says ${snapshot.counts?.users}, file has ${snapshot.users.length}`);
+    }
+    snapshot.users.forEach((u, i) => {
+      for (const e of validateUserRecord(u)) errors.push(`users[${i}] (${u?.id ?? 'no id'}): ${e}`);
+    });
+
+    // Withdrawals recorded now and at backup time both count
+    const withdrawn = { ...snapshot.config[WITHDRAWN_USERS_KEY], ...storage.getConfig()[WITHDRAWN_USERS_KEY] };
+    const users = withoutWithdrawn(snapshot.users, withdrawn);
+    return { snapshot, errors, diff: diffUsers(storage.listUsers(), users), users, withdrawn: snapshot.users.length - users.length };
+  }
+
+  // Replace users and config with a validated backup; a safety backup of the current state is taken first
+  function restore(id) {
+    const { snapshot, errors, diff, users, withdrawn } = inspect(id);
+    if (errors.length) throw new Error(`Backup failed validation: ${errors.slice(0, 3).join('; ')}`);
+
+    const safety = create('pre-restore');
+    storage.transaction(() => {
+      const withdrawals = { ...snapshot.config[WITHDRAWN_USERS_KEY], ...storage.getConfig()[WITHDRAWN_USERS_KEY] };
+      storage.replaceUsers(users);
+      const current = storage.getConfig();
+      for (const key of Object.keys(current)) if (!(key in snapshot.config)) storage.setConfig(key, undefined);
+      for (const [key, value] of Object.entries(snapshot.config)) storage.setConfig(key, value);
+      // The withdrawal list itself is never rolled back
+      if (Object.keys(withdrawals).length) storage.setConfig(WITHDRAWN_USERS_KEY, withdrawals);
+    });
+    return { diff, safetyBackupId: safety.id, users: users.length, withdrawn };
+  }
+
+  return { list, create, prune, inspect, restore };
+}
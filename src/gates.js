@@ -0,0 +1,50 @@
+// src/gates.js
+// Per-guild verification requirements, checked in /callback before the verified role is granted.
+// Settings live in the guild's `gates` setting (see DEFAULT_GUILD_SETTINGS):
+//   { min_account_age_days, require_member, denylist: [userId], approval }
+// With approval on, users who pass every other gate wait for a moderator in the log channel.
+import { SnowflakeUtil } from 'discord.js';
+
+export const GATE_LABELS = {
+  denylist: 'Not on the denylist',
+  account_age: 'Minimum account age',
+  membership: 'Already a member of the server',
+  approval: 'Manual approval'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// isMember: whether the user is in the guild right now (only needed with require_member).
+// Returns { passed: true } | { passed: false, gate, reason, params } | { pending: true } (needs approval).
+// params fill the localized message on the error page (src/web/pageStrings.js, gate_<gate>).
+export function evaluateGates(gates, { userId, isMember, now = Date.now() }) {
+  if ((gates.denylist || []).includes(userId)) {
+    return { passed: false, gate: 'denylist', reason: 'This account is not allowed to verify in this server.', params: {} };
+  }
+  if (gates.min_account_age_days > 0) {
+    const ageDays = (now - SnowflakeUtil.timestampFrom(userId)) / DAY;
+    if (ageDays < gates.min_account_age_days) {
+      return {
+        passed: false,
+        gate: 'account_age',
+        reason: `Your Discord account must be at least ${gates.min_account_age_days} days old (it is ${Math.floor(ageDays)} days old).`,
+        params: { min: gates.min_account_age_days, age: Math.floor(ageDays) }
+      };
+    }
+  }
+  if (gates.require_member && !isMember) {
+    return { passed: false, gate: 'membership', reason: 'You must join the server before verifying.', params: {} };
+  }
+  if (gates.approval) return { pending: true };
+  return { passed: true };
+}
+
+// Lines for /gates view
+export function describeGates(gates) {
+  return [
+    `**${GATE_LABELS.account_age}:** ${gates.min_account_age_days > 0 ? `${gates.min_account_age_days} days` : 'off'}`,
+    `**${GATE_LABELS.membership}:** ${gates.require_member ? 'required' : 'off'}`,
+    `**${GATE_LABELS.approval}:** ${gates.approval ? 'on' : 'off'}`,
+    `**Denylist:** ${(gates.denylist || []).length ? gates.denylist.map(id => `<@${id}>`).join(', ') : 'empty'}`
+  ];
+}
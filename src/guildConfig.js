@@ -0,0 +1,81 @@
+// src/guildConfig.js
+// Per-guild settings, stored one config key per guild (`guild:<id>`) so guilds never overwrite each other.
+
+const KEY_PREFIX = 'guild:';
+
+export const DEFAULT_GUILD_SETTINGS = {
+  verified_role: null,
+  log_channel: null,
+  log_events: null, // null = every event type
+  status_roles: [], // see src/statusRoles.js
+  permissions: {}, // { [tier or command]: { roles: [], users: [] } }
+  gates: { min_account_age_days: 0, require_member: false, denylist: [], approval: false }, // see src/gates.js
+  panels: [], // see src/panels.js
+  branding: { logo: null, color: null, return_url: null }, // member-facing pages, see src/web/memberPages.js
+  // Defaults for new panels (/config panel)
+  panel_title: '✅ Verify Your Discord Account',
+  panel_description: 'Click the button below to verify your account through Discord’s official authorization window.'
+};
+
+export function createGuildConfig({ storage }) {
+  function get(guildId) {
+    const stored = storage.getConfig()[`${KEY_PREFIX}${guildId}`] || {};
+    return { ...structuredClone(DEFAULT_GUILD_SETTINGS), ...stored };
+  }
+
+  // Applies fn to a copy of the guild's settings and saves the result
+  function update(guildId, fn) {
+    return storage.transaction(() => {
+      const current = get(guildId);
+      const next = fn(current) ?? current;
+      storage.setConfig(`${KEY_PREFIX}${guildId}`, next);
+      return next;
+    });
+  }
+
+  return {
+    get,
+    update,
+
+    set(guildId, key, value) {
+      return update(guildId, (s) => ({ ...s, [key]: value }));
+    },
+
+    listGuildIds() {
+      return Object.keys(storage.getConfig())
+        .filter(k => k.startsWith(KEY_PREFIX))
+        .map(k => k.slice(KEY_PREFIX.length));
+    },
+
+    // One-time move from the single-guild setup (hard-coded IDs + global verified_channel/log_events)
+    // to per-guild settings; untagged user records are attributed to that guild.
+    // Fresh installs (no legacy settings or untagged users) only get the flag set.
+    migrateLegacy({ guildId, verifiedRoleId, mediaRoleId }) {
+      const config = storage.getConfig();
+      if (config.legacy_guild_migrated) return false;
+      const untagged = storage.listUsers().filter(u => !u.guilds);
+      if (config.verified_channel === undefined && config.log_events === undefined && !untagged.length) {
+        storage.setConfig('legacy_guild_migrated', true);
+        return false;
+      }
+      storage.transaction(() => {
+        if (!config[`${KEY_PREFIX}${guildId}`]) {
+          storage.setConfig(`${KEY_PREFIX}${guildId}`, {
+            ...structuredClone(DEFAULT_GUILD_SETTINGS),
+            verified_role: verifiedRoleId,
+            log_channel: config.verified_channel || null,
+            log_events: config.log_events || null,
+            status_roles: mediaRoleId ? [{ match: '/grin', role: mediaRoleId }] : []
+          });
+        }
+        for (const u of untagged) {
+          storage.putUser({ ...u, guilds: { [guildId]: { verifiedAt: u.verifiedAt || null } } });
+        }
+        storage.setConfig('verified_channel', undefined);
+        storage.setConfig('log_events', undefined);
+        storage.setConfig('legacy_guild_migrated', true);
+      });
+      return true;
+    }
+  };
+}
@@ -0,0 +1,63 @@
+// src/ipPolicy.js
+// What happens to the IP address recorded at verification (IP_STORAGE):
+//   raw  - stored as is
+//   hash - stored as a keyed HMAC; equal IPs still give equal values, so /useralts grouping works
+//   off  - not stored
+// IPs older than the retention period (counted from the user's last verification) are dropped.
+import crypto from 'crypto';
+
+export const IP_MODES = ['raw', 'hash', 'off'];
+const HASH_PREFIX = 'hmac:';
+
+export function createIpPolicy({ mode = 'raw', key, retentionMs = 0 }) {
+  if (!IP_MODES.includes(mode)) {
+    throw new Error(`Unknown IP_STORAGE "${mode}" (expected ${IP_MODES.join(', ')})`);
+  }
+
+  function isHashed(value) {
+    return typeof value === 'string' && value.startsWith(HASH_PREFIX);
+  }
+
+  function hash(ip) {
+    return HASH_PREFIX + crypto.createHmac('sha256', key).update(ip).digest('base64url').slice(0, 22);
+  }
+
+  // Value to store for an address seen now (undefined = store nothing)
+  function toStored(ip) {
+    if (!ip || mode === 'off') return undefined;
+    return mode === 'hash' ? hash(ip) : ip;
+  }
+
+  // Short text for staff views
+  function display(value) {
+    if (!value) return 'Unknown';
+    return isHashed(value) ? `${value.slice(0, 13)}… (hashed)` : value;
+  }
+
+  // Bring a stored record in line with the policy (hash raw IPs, drop disabled or expired ones).
+  // Mutates the record; returns true when it changed.
+  function enforce(user, now = Date.now()) {
+    if (!user.ip) return false;
+    const expired = retentionMs > 0 && Date.parse(user.verifiedAt) < now - retentionMs;
+    if (expired || mode === 'off') {
+      delete user.ip;
+      return true;
+    }
+    if (mode === 'hash' && !isHashed(user.ip)) {
+      user.ip = hash(user.ip);
+      return true;
+    }
+    return false;
+  }
+
+  return { mode, retentionMs, isHashed, toStored, display, enforce };
+}
+
+// TRUST_PROXY -> Express "trust proxy" setting: true/false, a hop count, or addresses/subnets
+// ("loopback", "10.0.0.0/8, 127.0.0.1", ...)
+export function parseTrustProxy(value) {
+  if (value === undefined || value === '') return 'loopback';
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+}
@@ -0,0 +1,334 @@
+// src/memberActions.js
+// Per-user operations shared by the slash commands, the OAuth callback and the web dashboard.
+import fetch from 'node-fetch';
+import { WITHDRAWN_USERS_KEY } from './backups.js';
+
+// Why adding a user to a guild failed, for restore reports
+export const ADD_FAILURE_REASONS = {
+  token_revoked: 'Token revoked or expired',
+  member_limit: 'User is in too many servers',
+  banned: 'Banned from the server',
+  missing_permissions: 'Bot lacks permissions',
+  unknown_guild: 'Server not found',
+  rate_limited: 'Rate limited',
+  other: 'Other error'
+};
+
+// Refresh attempts per user before a transient failure (network, 5xx, 429) is recorded
+const REFRESH_ATTEMPTS = 3;
+
+const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+// token_health after Discord granted tokens (OAuth callback or refresh). Records carry:
+// lastRefreshed, expires_at (from expires_in), consecutiveFailures, lastError (+ lastCheck, see recheckToken)
+export function grantedTokenHealth(tokenData, previous = {}) {
+  const now = Date.now();
+  return {
+    ...previous,
+    lastRefreshed: new Date(now).toISOString(),
+    expires_at: tokenData.expires_in ? new Date(now + tokenData.expires_in * 1000).toISOString() : null,
+    consecutiveFailures: 0,
+    lastError: null
+  };
+}
+
+// Discord HTTP status + JSON error code -> a key of ADD_FAILURE_REASONS
+function addFailureReason(httpStatus, code) {
+  if (httpStatus === 401 || code === 50025) return 'token_revoked'; // Invalid OAuth2 access token
+  if (code === 30001) return 'member_limit'; // Maximum number of guilds reached
+  if (code === 40007) return 'banned';
+  if (code === 10004) return 'unknown_guild';
+  if (httpStatus === 403 || code === 50013) return 'missing_permissions';
+  return 'other';
+}
+
+// onRefresh({ status, durationMs }) is called after every refreshToken() (for metrics)
+export function createMemberActions({ storage, client, guildConfig, tokenCipher, auditLog, botToken, oauth, onRefresh }) {
+  // Probe a user's access token against /users/@me.
+  // Only a definite 401 (or no token at all) is 'invalid'; network errors, 5xx/429 and
+  // tokens we can't decrypt are 'unknown' so callers leave those users alone.
+  async function checkToken(user) {
+    if (!user.access_token) return { status: 'invalid', error: 'no access token' };
+
+    let accessToken;
+    try {
+      accessToken = tokenCipher.open(user.access_token);
+    } catch (err) {
+      return { status: 'unknown', error: `cannot decrypt access token: ${err.message}` };
+    }
+
+    try {
+      const res = await fetch('https://discord.com/api/users/@me', {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+      if (res.status === 401) return { status: 'invalid', error: 'HTTP 401' };
+      if (!res.ok) return { status: 'unknown', error: `HTTP ${res.status}` };
+      return { status: 'valid' };
+    } catch (err) {
+      return { status: 'unknown', error: err.message };
+    }
+  }
+
+  // Merge fields into a user's token_health (re-reading the record); returns the updated record or null
+  function updateTokenHealth(userId, fields) {
+    const current = storage.getUser(userId);
+    if (!current) return null;
+    current.token_health = { ...current.token_health, ...fields };
+    storage.putUser(current);
+    return current;
+  }
+
+  // checkToken + remember the result on the record (token_health.lastCheck)
+  async function recheckToken(userId) {
+    const user = storage.getUser(userId);
+    if (!user) return null;
+    const result = await checkToken(user);
+    updateTokenHealth(userId, { lastCheck: { status: result.status, error: result.error || null, at: new Date().toISOString() } });
+    return result;
+  }
+
+  // One refresh request -> { tokenData, waitMs } | { error, grantError, transient, retryAfterMs, waitMs }
+  async function requestRefresh(refreshToken) {
+    let tokenRes;
+    try {
+      tokenRes = await fetch('https://discord.com/api/oauth2/token', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          client_id: oauth.clientId,
+          client_secret: oauth.clientSecret,
+          grant_type: 'refresh_token',
+          refresh_token: refreshToken
+        })
+      });
+    } catch (err) {
+      return { error: `error during refresh (${err.message})`, transient: true };
+    }
+    const tokenData = await tokenRes.json().catch(() => null);
+    const waitMs = tokenRes.headers.get('x-ratelimit-remaining') === '0'
+      ? Number(tokenRes.headers.get('x-ratelimit-reset-after') || 0) * 1000
+      : 0;
+    if (tokenRes.ok && tokenData?.access_token) return { tokenData, waitMs };
+    const error = `refresh failed (${tokenData?.error || `HTTP ${tokenRes.status}`})`;
+    if (tokenRes.status === 429) {
+      const retryAfter = Number(tokenRes.headers.get('retry-after')) || Number(tokenData?.retry_after) || 1;
+      return { error, transient: true, retryAfterMs: retryAfter * 1000, waitMs: retryAfter * 1000 };
+    }
+    return { error, grantError: tokenData?.error, details: tokenData, transient: tokenRes.status >= 500, waitMs };
+  }
+
+  // Exchange a user's refresh token for new tokens and store them, retrying transient failures with backoff.
+  // Returns { status: 'refreshed', user } | { status: 'invalid', error, details } | { status: 'failed', error }
+  // | { status: 'skipped', error }, plus waitMs when the token endpoint asks callers to slow down. Only 'invalid' (Discord answered invalid_grant) means the grant is gone;
+  // 'failed' (outage, rate limit, other errors) is recorded in token_health and the record is kept;
+  // 'skipped' = we couldn't try: no refresh token, undecryptable token, or the record was removed meanwhile.
+  async function refreshToken(user) {
+    const startedAt = Date.now();
+    const result = await attemptRefresh(user);
+    onRefresh?.({ status: result.status, durationMs: Date.now() - startedAt });
+    return result;
+  }
+
+  async function attemptRefresh(user) {
+    if (!user.refresh_token) return { status: 'skipped', error: 'no refresh token' };
+
+    // A token we can't decrypt means a missing key, not a bad token — keep the record
+    let refreshToken;
+    try {
+      refreshToken = tokenCipher.open(user.refresh_token);
+    } catch (err) {
+      return { status: 'skipped', error: `cannot decrypt refresh token: ${err.message}` };
+    }
+
+    let result;
+    for (let attempt = 1; attempt <= REFRESH_ATTEMPTS; attempt++) {
+      result = await requestRefresh(refreshToken);
+      if (!result.transient || attempt === REFRESH_ATTEMPTS) break;
+      await sleep(result.retryAfterMs ?? 1000 * 2 ** attempt);
+    }
+
+    if (result.tokenData) {
+      const { tokenData } = result;
+      // Re-read the record so changes made while we were waiting on Discord aren't lost
+      const current = storage.getUser(user.id);
+      if (!current) return { status: 'skipped', error: 'removed during refresh' };
+      current.access_token = tokenCipher.seal(tokenData.access_token);
+      // Discord may rotate the refresh token; keep the old one if it didn't
+      current.refresh_token = tokenData.refresh_token ? tokenCipher.seal(tokenData.refresh_token) : current.refresh_token;
+      current.token_health = grantedTokenHealth(tokenData, current.token_health);
+      storage.putUser(current);
+      return { status: 'refreshed', user: current, waitMs: result.waitMs };
+    }
+
+    if (result.grantError === 'invalid_grant') return { status: 'invalid', error: result.error, details: result.details, waitMs: result.waitMs };
+    const current = storage.getUser(user.id);
+    updateTokenHealth(user.id, {
+      consecutiveFailures: (current?.token_health?.consecutiveFailures || 0) + 1,
+      lastError: { error: result.error, at: new Date().toISOString() }
+    });
+    return { status: 'failed', error: result.error, waitMs: result.waitMs };
+  }
+
+  // PUT a user into a guild with their OAuth access token.
+  // Returns { status: 'added' | 'already_member' | 'failed' | 'rate_limited', httpStatus, reason, error, transient,
+  // retryAfterMs, waitMs }: Discord answers 201 when it added the user and 204 when they were already there;
+  // reason is a key of ADD_FAILURE_REASONS; transient failures (network, 5xx) are worth retrying; waitMs is how
+  // long the route's rate-limit bucket asks us to pause before the next call; retryAfterMs comes with a 429.
+  async function addToGuild(guildId, user) {
+    if (!user.access_token) return { status: 'failed', reason: 'token_revoked', error: 'no access token' };
+    let accessToken;
+    try {
+      accessToken = tokenCipher.open(user.access_token);
+    } catch (err) {
+      return { status: 'failed', reason: 'other', error: `cannot decrypt access token: ${err.message}` };
+    }
+
+    let res;
+    try {
+      res = await fetch(`https://discord.com/api/guilds/${guildId}/members/${user.id}`, {
+        method: 'PUT',
+        headers: { Authorization: `Bot ${botToken}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ access_token: accessToken })
+      });
+    } catch (err) {
+      return { status: 'failed', reason: 'other', error: err.message, transient: true };
+    }
+
+    const waitMs = res.headers.get('x-ratelimit-remaining') === '0'
+      ? Number(res.headers.get('x-ratelimit-reset-after') || 0) * 1000
+      : 0;
+    if (res.status === 429) {
+      const body = await res.json().catch(() => ({}));
+      const retryAfter = Number(res.headers.get('retry-after')) || Number(body.retry_after) || 1;
+      return { status: 'rate_limited', httpStatus: 429, reason: 'rate_limited', retryAfterMs: retryAfter * 1000, waitMs };
+    }
+    if (res.status === 204) return { status: 'already_member', httpStatus: 204, waitMs };
+    if (res.ok) return { status: 'added', httpStatus: res.status, waitMs };
+    const text = await res.text().catch(() => 'Unknown error');
+    let code;
+    try {
+      code = JSON.parse(text).code;
+    } catch {
+      code = undefined;
+    }
+    return {
+      status: 'failed',
+      httpStatus: res.status,
+      reason: addFailureReason(res.status, code),
+      error: `HTTP ${res.status}: ${text}`,
+      transient: res.status >= 500,
+      waitMs
+    };
+  }
+
+  // The guild's verified role plus the role of the panel the user verified through (if it has one)
+  function verifiedRolesFor(guildId, userId) {
+    const { verified_role, panels } = guildConfig.get(guildId);
+    const panelId = storage.getUser(userId)?.guilds?.[guildId]?.panelId;
+    const panelRole = panelId ? (panels || []).find(p => p.id === panelId)?.role : null;
+    return [...new Set([verified_role, panelRole].filter(Boolean))];
+  }
+
+  // Give a user the guild's verified role (and their panel's role).
+  // Returns { status: 'assigned' | 'failed' | 'not_member' | 'not_configured' | 'guild_unavailable', error? }
+  async function assignVerifiedRole(guildId, userId) {
+    const roles = verifiedRolesFor(guildId, userId);
+    if (!roles.length) return { status: 'not_configured' };
+    try {
+      const guild = await client.guilds.fetch(guildId).catch(() => null);
+      if (!guild) return { status: 'guild_unavailable' };
+      // Try to fetch member; if member isn't in guild, we can't assign role
+      const member = await guild.members.fetch(userId).catch(() => null);
+      if (!member) return { status: 'not_member' };
+      await member.roles.add(roles);
+      return { status: 'assigned' };
+    } catch (err) {
+      return { status: 'failed', error: err?.message || String(err) };
+    }
+  }
+
+  // Take the guild's verified role (and their panel's role) away again.
+  // Returns { status: 'removed' | 'failed' | 'not_member' | 'not_configured' | 'guild_unavailable', error? }
+  async function removeVerifiedRole(guildId, userId) {
+    const roles = verifiedRolesFor(guildId, userId);
+    if (!roles.length) return { status: 'not_configured' };
+    try {
+      const guild = await client.guilds.fetch(guildId).catch(() => null);
+      if (!guild) return { status: 'guild_unavailable' };
+      const member = await guild.members.fetch(userId).catch(() => null);
+      if (!member) return { status: 'not_member' };
+      await member.roles.remove(roles, 'User withdrew their verification');
+      return { status: 'removed' };
+    } catch (err) {
+      return { status: 'failed', error: err?.message || String(err) };
+    }
+  }
+
+  // Ask Discord to revoke the user's OAuth grant (revoking the refresh token ends the whole grant).
+  // Returns { status: 'revoked' | 'failed', error? }
+  async function revokeGrant(user) {
+    const sealed = user.refresh_token || user.access_token;
+    if (!sealed) return { status: 'failed', error: 'no token stored' };
+    let token;
+    try {
+      token = tokenCipher.open(sealed);
+    } catch (err) {
+      return { status: 'failed', error: `cannot decrypt token: ${err.message}` };
+    }
+    try {
+      const res = await fetch('https://discord.com/api/oauth2/token/revoke', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          client_id: oauth.clientId,
+          client_secret: oauth.clientSecret,
+          token,
+          token_type_hint: user.refresh_token ? 'refresh_token' : 'access_token'
+        })
+      });
+      return res.ok ? { status: 'revoked' } : { status: 'failed', error: `HTTP ${res.status}` };
+    } catch (err) {
+      return { status: 'failed', error: err.message };
+    }
+  }
+
+  // A user withdrawing their own verification: revoke the OAuth grant, remove the verified role in every
+  // guild they verified in and delete the record for good: not to the trash, earlier trash entries are purged,
+  // and backup restores and uploads leave it out (see WITHDRAWN_USERS_KEY).
+  // Returns null without a record, else { revoked, revokeError, roles: [{ guildId, status, error? }] }
+  async function unverify(userId) {
+    const user = storage.getUser(userId);
+    if (!user) return null;
+    const revoke = await revokeGrant(user);
+    const roles = [];
+    for (const guildId of Object.keys(user.guilds || {})) {
+      roles.push({ guildId, ...(await removeVerifiedRole(guildId, userId)) });
+    }
+    storage.transaction(() => {
+      storage.deleteUser(userId);
+      // Trash entries hold the same data and tokens; /undo or /restoreuser must not bring them back
+      storage.deleteTrashUser(userId);
+      storage.setConfig(WITHDRAWN_USERS_KEY, { ...storage.getConfig()[WITHDRAWN_USERS_KEY], [userId]: new Date().toISOString() });
+    });
+    const revoked = revoke.status === 'revoked';
+    await auditLog.unverified({ user, revoked, roles });
+    return { revoked, revokeError: revoke.error, roles };
+  }
+
+  // Move users to the trash and log it; returns the trash batch.
+  // guildId: where the removal was requested (omit to log in each guild the users were verified in)
+  // guildOnly: take only the verification in guildId and keep the ones in other guilds
+  async function removeUsers(ids, { reason, by, guildId, guildOnly = false }) {
+    const batch = storage.trashUsers(ids, { reason, by, guildId: guildOnly ? guildId : undefined });
+    await auditLog.removed({
+      guildId,
+      guildOnly,
+      users: batch.users,
+      by,
+      reason: `${reason} — restorable with \`/undo batch:${batch.batchId}\``
+    });
+    return batch;
+  }
+
+  return { checkToken, recheckToken, refreshToken, addToGuild, assignVerifiedRole, removeVerifiedRole, unverify, removeUsers };
+}
@@ -0,0 +1,103 @@
+// src/metrics.js
+// Prometheus metrics for GET /metrics, rendered in the text exposition format
+// (https://prometheus.io/docs/instrumenting/exposition_formats/). Counters and histograms
+// keep one series per label combination; gauges are read through a callback at scrape time.
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// Stable key for a label set
+function seriesKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+export function createMetrics({ prefix = '' } = {}) {
+  const families = [];
+
+  function family(name, help, type, lines) {
+    families.push({ name: `${prefix}${name}`, help, type, lines });
+  }
+
+  function counter(name, help) {
+    const series = new Map(); // key -> { labels, value }
+    family(name, help, 'counter', (full) => [...series.values()].map(s => `${full}${formatLabels(s.labels)} ${formatValue(s.value)}`));
+    return {
+      inc(labels = {}, value = 1) {
+        const key = seriesKey(labels);
+        const entry = series.get(key) || { labels, value: 0 };
+        entry.value += value;
+        series.set(key, entry);
+      }
+    };
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = new Map(); // key -> { labels, counts per bucket, sum, count }
+    family(name, help, 'histogram', (full) => [...series.values()].flatMap((s) => [
+      ...buckets.map((le, i) => `${full}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`),
+      `${full}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`,
+      `${full}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}`,
+      `${full}_count${formatLabels(s.labels)} ${s.count}`
+    ]));
+
+    function observe(labels, seconds) {
+      const key = seriesKey(labels);
+      const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((le, i) => {
+        if (seconds <= le) entry.counts[i]++;
+      });
+      entry.sum += seconds;
+      entry.count++;
+      series.set(key, entry);
+    }
+
+    return {
+      observe,
+      // Returns end(labels) which records the seconds elapsed since startTimer()
+      startTimer() {
+        const startedAt = process.hrtime.bigint();
+        return (labels = {}) => observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+      }
+    };
+  }
+
+  // collect() returns a number, or [[labels, value], ...] for several series
+  function gauge(name, help, collect) {
+    family(name, help, 'gauge', (full) => {
+      const value = collect();
+      const list = Array.isArray(value) ? value : [[{}, value]];
+      return list.map(([labels, v]) => `${full}${formatLabels(labels)} ${formatValue(Number(v))}`);
+    });
+  }
+
+  // The whole scrape; a gauge whose callback throws is left out rather than failing the scrape
+  function render() {
+    const out = [];
+    for (const f of families) {
+      let lines;
+      try {
+        lines = f.lines(f.name);
+      } catch (err) {
+        console.warn(`Metric ${f.name} failed:`, err?.message || err);
+        continue;
+      }
+      out.push(`# HELP ${f.name} ${f.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${f.name} ${f.type}`, ...lines);
+    }
+    return `${out.join('\n')}\n`;
+  }
+
+  return { counter, histogram, gauge, render };
+}
@@ -0,0 +1,91 @@
+// src/oauthState.js
+// Signed OAuth `state` handling.
+// Panel buttons link to /verify with a signed panel token (guild + panel, no expiry, since the
+// posted message is shared). /verify mints a per-visitor state (guild, panel, nonce, expiry),
+// binds the nonce to a cookie and redirects to Discord; /callback consumes it exactly once.
+// The /callback success page links to /unverify with a signed, expiring token for that user.
+import crypto from 'crypto';
+
+export const STATE_COOKIE = 'verify_nonce';
+
+function b64(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+const UNVERIFY_TTL = 24 * 60 * 60 * 1000;
+
+export function createStateManager({ secret, ttlMs = 10 * 60 * 1000 }) {
+  // nonce -> expiry; consumed nonces are remembered until their state would have expired anyway
+  const consumed = new Map();
+
+  function sign(payload) {
+    const body = b64(JSON.stringify(payload));
+    const mac = crypto.createHmac('sha256', secret).update(body).digest();
+    return `${body}.${b64(mac)}`;
+  }
+
+  function verify(token) {
+    if (typeof token !== 'string' || !token.includes('.')) return null;
+    const [body, mac] = token.split('.');
+    const expected = crypto.createHmac('sha256', secret).update(body).digest();
+    const given = Buffer.from(mac || '', 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    try {
+      return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  function sweep(now) {
+    for (const [nonce, exp] of consumed) if (exp < now) consumed.delete(nonce);
+  }
+
+  return {
+    ttlMs,
+
+    signPanel({ guildId, panelId }) {
+      return sign({ t: 'panel', g: guildId, p: panelId });
+    },
+
+    // Returns { guildId, panelId } or null if the token is forged/malformed
+    verifyPanel(token) {
+      const data = verify(token);
+      if (!data || data.t !== 'panel') return null;
+      return { guildId: data.g, panelId: data.p };
+    },
+
+    signUnverify(userId) {
+      return sign({ t: 'unverify', u: userId, e: Date.now() + UNVERIFY_TTL });
+    },
+
+    // Returns the user ID, or null if the token is forged, malformed or expired
+    verifyUnverify(token) {
+      const data = verify(token);
+      if (!data || data.t !== 'unverify' || data.e < Date.now()) return null;
+      return data.u;
+    },
+
+    // Returns { state, nonce } — put state in the authorize URL and nonce in the cookie
+    issue({ guildId, panelId }) {
+      const nonce = crypto.randomBytes(16).toString('base64url');
+      const state = sign({ t: 'state', g: guildId, p: panelId, n: nonce, e: Date.now() + ttlMs });
+      return { state, nonce };
+    },
+
+    // Returns { guildId, panelId } on success or { error } where error is one of
+    // 'missing' | 'invalid' | 'expired' | 'mismatch' | 'replayed'
+    consume(state, cookieNonce) {
+      const now = Date.now();
+      sweep(now);
+      if (!state) return { error: 'missing' };
+      const data = verify(state);
+      if (!data || data.t !== 'state') return { error: 'invalid' };
+      if (data.e < now) return { error: 'expired' };
+      if (!cookieNonce || cookieNonce !== data.n) return { error: 'mismatch' };
+      if (consumed.has(data.n)) return { error: 'replayed' };
+      consumed.set(data.n, data.e);
+      return { guildId: data.g, panelId: data.p };
+    }
+  };
+}
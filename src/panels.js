@@ -0,0 +1,50 @@
+// src/panels.js
+// Verification panels: the embed + link button members click to verify. Each guild keeps its panels
+// in the `panels` setting as { id, title, description, color, image, button_label, button_emoji, role,
+// channelId, messageId, verifications, createdBy, createdAt }. The posted message is tracked so
+// /panel edit updates it in place; `role` is granted on top of the guild's verified role.
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+
+export const PANEL_DEFAULTS = {
+  color: '#00b894',
+  image: null,
+  button_label: 'Verify Account',
+  button_emoji: '🔗',
+  role: null
+};
+
+// The fields /panel create and /panel edit may set
+export const PANEL_FIELDS = ['title', 'description', 'color', 'image', 'button_label', 'button_emoji', 'role'];
+
+// Returns an error message for invalid panel fields, or null
+export function validatePanel(panel) {
+  if (!panel.title || panel.title.length > 256) return 'The title must be 1–256 characters.';
+  if (!panel.description || panel.description.length > 4096) return 'The description must be 1–4096 characters.';
+  if (!/^#[0-9a-f]{6}$/i.test(panel.color || '')) return 'The color must be a hex code like #00b894.';
+  if (panel.image && (!/^https?:\/\/\S+$/i.test(panel.image) || panel.image.length > 2048)) return 'The image must be an http(s) URL.';
+  if (!panel.button_label || panel.button_label.length > 80) return 'The button label must be 1–80 characters.';
+  if (panel.button_emoji && panel.button_emoji.length > 64) return 'The button emoji is too long.';
+  return null;
+}
+
+// "00B894" / "#00b894" -> "#00b894" (anything else is left for validatePanel to reject)
+export function normalizeColor(value) {
+  const hex = String(value || '').trim().replace(/^#/, '');
+  return /^[0-9a-f]{6}$/i.test(hex) ? `#${hex.toLowerCase()}` : value;
+}
+
+// { embeds, components } for the posted message; verifyUrl is the panel's signed /verify link
+export function buildPanelMessage(panel, verifyUrl) {
+  const embed = new EmbedBuilder()
+    .setTitle(panel.title)
+    .setDescription(panel.description)
+    .setColor(panel.color);
+  if (panel.image) embed.setImage(panel.image);
+
+  const button = new ButtonBuilder()
+    .setStyle(ButtonStyle.Link)
+    .setURL(verifyUrl)
+    .setLabel(panel.button_label);
+  if (panel.button_emoji) button.setEmoji(panel.button_emoji);
+  return { embeds: [embed], components: [new ActionRowBuilder().addComponents(button)] };
+}
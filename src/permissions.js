@@ -0,0 +1,148 @@
+// src/permissions.js
+// Per-guild command permissions. Every staff command belongs to a tier; tiers are ordered,
+// so a grant on a higher tier covers the lower ones. Grants can also target a single command.
+// A "command subcommand" key overrides the command's tier for that subcommand.
+// OWNER_IDS can always run everything. Commands without a tier are open to every member.
+import { PermissionFlagsBits } from 'discord.js';
+
+export const TIERS = ['view', 'manage', 'destructive'];
+
+export const COMMAND_TIERS = {
+  userlist: 'view',
+  userip: 'view',
+  useralts: 'view',
+  tokenhealth: 'view',
+  send: 'manage',
+  setverified: 'manage',
+  config: 'manage',
+  logevents: 'manage',
+  adduser: 'manage',
+  addall: 'manage',
+  jobs: 'manage',
+  undo: 'manage',
+  restoreuser: 'manage',
+  removeuser: 'destructive',
+  removeall: 'destructive',
+  cleanup: 'destructive',
+  permissions: 'destructive',
+  backup: 'manage',
+  export: 'manage',
+  // Replaces every guild's users and config
+  'backup restore': 'owner',
+  gates: 'manage',
+  statusroles: 'manage',
+  syncroles: 'manage',
+  panel: 'manage',
+  // Not a command: the approve/deny buttons of the verification approval queue (see src/gates.js)
+  approvals: 'manage',
+  // Touches data for every guild, so not delegable per guild
+  rotatekey: 'owner'
+};
+
+// Discord-side default visibility; server admins can still adjust it under Integrations
+const DEFAULT_MEMBER_PERMISSIONS = {
+  view: PermissionFlagsBits.ManageMessages,
+  manage: PermissionFlagsBits.ManageGuild,
+  destructive: PermissionFlagsBits.Administrator,
+  owner: PermissionFlagsBits.Administrator
+};
+
+// Adds default_member_permissions to command definitions based on their tier
+// (subcommand overrides can't be expressed here, so a command gets its base tier)
+export function withDefaultPermissions(commands) {
+  return commands.map((c) => {
+    const tier = COMMAND_TIERS[c.name];
+    if (!tier || c.default_member_permissions !== undefined) return c;
+    return { ...c, default_member_permissions: DEFAULT_MEMBER_PERMISSIONS[tier].toString() };
+  });
+}
+
+// Valid grant targets: a tier name or a tiered command name
+export function isGrantTarget(target) {
+  return TIERS.includes(target) || (COMMAND_TIERS[target] && COMMAND_TIERS[target] !== 'owner');
+}
+
+function memberRoleIds(member) {
+  if (!member) return [];
+  // Cached GuildMember vs. raw API member (uncached guilds)
+  return Array.isArray(member.roles) ? member.roles : [...member.roles.cache.keys()];
+}
+
+export function createPermissions({ guildConfig, ownerIds }) {
+  function grantsFor(guildId) {
+    return guildId ? guildConfig.get(guildId).permissions || {} : {};
+  }
+
+  function matches(grant, userId, roleIds) {
+    if (!grant) return false;
+    return (grant.users || []).includes(userId) || (grant.roles || []).some(r => roleIds.includes(r));
+  }
+
+  // key: a COMMAND_TIERS key (command, "command subcommand" or e.g. 'approvals')
+  function allows({ guildId, userId, member }, key) {
+    if (ownerIds.includes(userId)) return true;
+    const tier = COMMAND_TIERS[key];
+    if (!tier) return true;
+    if (tier === 'owner' || !guildId) return false;
+
+    const grants = grantsFor(guildId);
+    const roleIds = memberRoleIds(member);
+    if (matches(grants[key], userId, roleIds)) return true;
+    // Any tier at or above the command's tier
+    return TIERS.slice(TIERS.indexOf(tier)).some(t => matches(grants[t], userId, roleIds));
+  }
+
+  return {
+    allows,
+
+    isOwner(userId) {
+      return ownerIds.includes(userId);
+    },
+
+    tierOf(commandName) {
+      return COMMAND_TIERS[commandName] || null;
+    },
+
+    canRun(interaction) {
+      const sub = interaction.options?.getSubcommand?.(false);
+      const key = COMMAND_TIERS[`${interaction.commandName} ${sub}`] ? `${interaction.commandName} ${sub}` : interaction.commandName;
+      return allows({ guildId: interaction.guildId, userId: interaction.user.id, member: interaction.member }, key);
+    },
+
+    // kind: 'roles' | 'users'; returns false if it was already granted
+    grant(guildId, target, kind, id) {
+      let changed = false;
+      guildConfig.update(guildId, (s) => {
+        const perms = s.permissions || {};
+        const entry = perms[target] || { roles: [], users: [] };
+        if (!entry[kind].includes(id)) {
+          entry[kind].push(id);
+          changed = true;
+        }
+        perms[target] = entry;
+        s.permissions = perms;
+      });
+      return changed;
+    },
+
+    // Returns false if there was nothing to revoke
+    revoke(guildId, target, kind, id) {
+      let changed = false;
+      guildConfig.update(guildId, (s) => {
+        const entry = s.permissions?.[target];
+        if (!entry || !entry[kind].includes(id)) return;
+        entry[kind] = entry[kind].filter(x => x !== id);
+        if (!entry.roles.length && !entry.users.length) delete s.permissions[target];
+        changed = true;
+      });
+      return changed;
+    },
+
+    // [[target, { roles, users }]] in tier order, then per-command grants
+    list(guildId) {
+      const grants = grantsFor(guildId);
+      const order = (t) => (TIERS.includes(t) ? TIERS.indexOf(t) : TIERS.length);
+      return Object.entries(grants).sort(([a], [b]) => order(a) - order(b) || a.localeCompare(b));
+    }
+  };
+}
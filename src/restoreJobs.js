@@ -0,0 +1,243 @@
+// src/restoreJobs.js
+// Persistent member-restore jobs (/addall). A job stores its target guild and a status per user,
+// so a restart resumes where it stopped. Jobs run one at a time, oldest first, and pace themselves
+// from Discord's rate-limit headers (Retry-After on 429, bucket reset when remaining hits 0).
+import crypto from 'crypto';
+import { csvCell } from './userExport.js';
+
+// queued -> running -> completed; running/queued <-> paused; anything unfinished -> cancelled
+export const JOB_STATUSES = ['queued', 'running', 'paused', 'cancelled', 'completed', 'failed'];
+const ACTIVE = ['queued', 'running'];
+const MAX_ATTEMPTS = 3; // per user, for transient errors (network, 5xx)
+const CHECKPOINT_MS = 5000; // persist progress (and report it) at most this often while running
+
+const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+// { pending, added, already_member, failed, skipped } for a job's items
+export function jobCounts(job) {
+  const counts = { pending: 0, added: 0, already_member: 0, failed: 0, skipped: 0 };
+  for (const item of job.items) counts[item.status] = (counts[item.status] || 0) + 1;
+  return counts;
+}
+
+// Failed items per reason (keys of ADD_FAILURE_REASONS), most common first
+export function failureBreakdown(job) {
+  const counts = {};
+  for (const item of job.items) {
+    if (item.status === 'failed') counts[item.reason || 'other'] = (counts[item.reason || 'other'] || 0) + 1;
+  }
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+}
+
+// Estimated ms left, from the pace of the current run; null until there's something to go on
+export function jobEtaMs(job) {
+  if (job.status !== 'running' || !job.run?.processed) return null;
+  const perItem = (Date.now() - Date.parse(job.run.startedAt)) / job.run.processed;
+  return Math.round(perItem * jobCounts(job).pending);
+}
+
+// CSV with one row per user: user_id,status,reason,error
+export function jobReport(job) {
+  const rows = job.items.map(i => [i.userId, i.status, i.reason || '', i.error || ''].map(csvCell).join(','));
+  return ['user_id,status,reason,error', ...rows].join('\r\n') + '\r\n';
+}
+
+// onProgress(job): called every checkpoint and when a run stops; onFinish(job): once a job is done
+export function createRestoreJobs({ storage, memberActions, onProgress, onFinish }) {
+  let current = null; // the job object the worker is processing
+  let worker = null; // promise of the worker loop while it runs
+
+  function save(job) {
+    job.updatedAt = new Date().toISOString();
+    storage.putJob(job);
+  }
+
+  function report(job) {
+    return Promise.resolve(onFinish?.(job)).catch(err => console.error('Restore job report failed:', err));
+  }
+
+  // Not awaited: a slow progress edit shouldn't hold up the job
+  function progress(job) {
+    Promise.resolve(onProgress?.(job)).catch(err => console.error('Restore job progress update failed:', err));
+  }
+
+  function get(id) {
+    return current?.id === id ? current : storage.getJob(id);
+  }
+
+  function list() {
+    return storage.listJobs().map(j => (current?.id === j.id ? current : j));
+  }
+
+  // userIds: who to add; sourceGuildId/sourceChannelId: where the job was requested (for reports)
+  // Call start() afterwards; in between the caller can attach details (e.g. a progress message) with annotate().
+  function create({ targetGuildId, userIds, requestedBy, sourceGuildId, sourceChannelId }) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomBytes(4).toString('hex'),
+      type: 'member-restore',
+      status: 'queued',
+      targetGuildId,
+      requestedBy,
+      sourceGuildId,
+      sourceChannelId,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      items: userIds.map(userId => ({ userId, status: 'pending', attempts: 0, reason: null, error: null }))
+    };
+    storage.putJob(job);
+    return job;
+  }
+
+  // Merge extra fields into a job (not items/status) and persist it
+  function annotate(id, fields) {
+    const job = get(id);
+    if (!job) return null;
+    Object.assign(job, fields);
+    save(job);
+    return job;
+  }
+
+  // Returns { job } or { error }. The running job is changed in place so the worker sees it.
+  function transition(id, allowedFrom, to) {
+    const job = get(id);
+    if (!job) return { error: `No job \`${id}\`.` };
+    if (!allowedFrom.includes(job.status)) return { error: `Job \`${id}\` is ${job.status}.` };
+    job.status = to;
+    if (to === 'cancelled') job.finishedAt = new Date().toISOString();
+    save(job);
+    // The worker reports on the job it holds when its run stops, and on a resumed job when it picks it up
+    if (job !== current && (to !== 'queued' || worker)) progress(job);
+    if (to === 'queued') start();
+    return { job };
+  }
+
+  function pause(id) {
+    return transition(id, ACTIVE, 'paused');
+  }
+
+  function resume(id) {
+    return transition(id, ['paused'], 'queued');
+  }
+
+  function cancel(id) {
+    const result = transition(id, [...ACTIVE, 'paused'], 'cancelled');
+    // A job the worker is holding reports when it stops; others report now
+    if (result.job && result.job !== current) report(result.job);
+    return result;
+  }
+
+  // Delete finished jobs (completed, cancelled, failed) that ended before `before` (ISO); returns the count
+  function purge(before) {
+    let purged = 0;
+    for (const job of storage.listJobs()) {
+      if (job.finishedAt && job.finishedAt < before && storage.deleteJob(job.id)) purged++;
+    }
+    return purged;
+  }
+
+  // Start the worker if it isn't running (also picks up jobs left running by a restart)
+  function start() {
+    if (!worker) worker = work().finally(() => { worker = null; });
+  }
+
+  async function work() {
+    for (;;) {
+      const next = storage.listJobs()
+        .filter(j => ACTIVE.includes(j.status))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+      if (!next) return;
+      current = next;
+      try {
+        await run(next);
+      } catch (err) {
+        console.error(`❌ Restore job ${next.id} crashed:`, err);
+        next.status = 'failed';
+        next.error = err.message;
+        next.finishedAt = new Date().toISOString();
+        save(next);
+      } finally {
+        current = null;
+      }
+      if (['completed', 'cancelled', 'failed'].includes(next.status)) await report(next);
+    }
+  }
+
+  async function run(job) {
+    job.status = 'running';
+    job.run = { startedAt: new Date().toISOString(), processed: 0 };
+    save(job);
+    progress(job);
+    console.log(`📥 Restore job ${job.id} running (${jobCounts(job).pending} users left → ${job.targetGuildId})`);
+
+    let lastSave = Date.now();
+    for (const item of job.items) {
+      if (job.status !== 'running') break; // paused or cancelled
+      if (item.status !== 'pending') continue;
+      await processItem(job, item);
+      job.run.processed++;
+      if (Date.now() - lastSave >= CHECKPOINT_MS) {
+        save(job);
+        progress(job);
+        lastSave = Date.now();
+      }
+    }
+
+    if (job.status === 'running') {
+      job.status = 'completed';
+      job.finishedAt = new Date().toISOString();
+    }
+    save(job);
+    progress(job);
+    console.log(`📥 Restore job ${job.id} ${job.status}: ${JSON.stringify(jobCounts(job))}`);
+  }
+
+  async function processItem(job, item) {
+    let user = storage.getUser(item.userId);
+    if (!user) {
+      item.status = 'skipped';
+      item.reason = null;
+      item.error = 'no longer verified';
+      return;
+    }
+
+    let refreshed = false;
+    while (job.status === 'running') {
+      item.attempts++;
+      const result = await memberActions.addToGuild(job.targetGuildId, user);
+
+      if (result.status === 'rate_limited') {
+        // Not the user's fault; wait as long as Discord asks and try again
+        item.attempts--;
+        console.warn(`⏳ Restore job ${job.id} rate limited, waiting ${result.retryAfterMs}ms`);
+        await sleep(result.retryAfterMs);
+        continue;
+      }
+
+      // An expired access token can usually be renewed once with the refresh token
+      if (result.httpStatus === 401 && !refreshed) {
+        refreshed = true;
+        const renewed = await memberActions.refreshToken(user);
+        if (renewed.status === 'refreshed') {
+          user = renewed.user;
+          item.attempts--;
+          continue;
+        }
+      }
+
+      if (result.status === 'failed' && result.transient && item.attempts < MAX_ATTEMPTS) {
+        await sleep(1000 * 2 ** item.attempts);
+        continue;
+      }
+
+      item.status = ['added', 'already_member'].includes(result.status) ? result.status : 'failed';
+      item.reason = item.status === 'failed' ? result.reason || 'other' : null;
+      item.error = result.error || null;
+      if (result.waitMs) await sleep(result.waitMs);
+      return;
+    }
+  }
+
+  return { create, annotate, get, list, pause, resume, cancel, purge, start };
+}
@@ -0,0 +1,54 @@
+// src/roleSync.js
+// Keeps each guild's verified role in line with the stored records: members with a record for the
+// guild get the role (e.g. they joined after verifying), members without one lose it (e.g. removed
+// by /removeuser, /cleanup or an expired token). Pending approvals (src/gates.js) don't count.
+export function createRoleSync({ storage, guildConfig }) {
+  // True when the user's record makes them verified in this guild
+  function isVerifiedIn(user, guildId) {
+    const entry = user?.guilds?.[guildId];
+    return Boolean(entry) && entry.approval !== 'pending';
+  }
+
+  // Returns { granted: [member], removed: [member], failed: [{ member, error }] } or { error }.
+  // dryRun: only work out the diff.
+  async function sync(guild, { dryRun = false } = {}) {
+    const { verified_role } = guildConfig.get(guild.id);
+    if (!verified_role) return { error: 'No verified role is configured (`/config verifiedrole`).' };
+    if (!guild.roles.cache.has(verified_role)) return { error: `The verified role <@&${verified_role}> no longer exists.` };
+
+    const verified = new Set(storage.listUsers().filter(u => isVerifiedIn(u, guild.id)).map(u => u.id));
+    const members = await guild.members.fetch();
+    const toGrant = [];
+    const toRemove = [];
+    for (const member of members.values()) {
+      if (member.user.bot) continue;
+      const has = member.roles.cache.has(verified_role);
+      if (verified.has(member.id) && !has) toGrant.push(member);
+      else if (!verified.has(member.id) && has) toRemove.push(member);
+    }
+    // No records at all for a guild whose role is in use looks like lost data, not a real state
+    if (!verified.size && toRemove.length) {
+      return { error: `No stored records for this server; refusing to remove the verified role from ${toRemove.length} members.` };
+    }
+    if (dryRun) return { granted: toGrant, removed: toRemove, failed: [] };
+
+    const granted = [];
+    const removed = [];
+    const failed = [];
+    for (const member of toGrant) {
+      await member.roles.add(verified_role, 'Role sync: verified record found').then(
+        () => granted.push(member),
+        err => failed.push({ member, error: err?.message || String(err) })
+      );
+    }
+    for (const member of toRemove) {
+      await member.roles.remove(verified_role, 'Role sync: no verified record').then(
+        () => removed.push(member),
+        err => failed.push({ member, error: err?.message || String(err) })
+      );
+    }
+    return { granted, removed, failed };
+  }
+
+  return { isVerifiedIn, sync };
+}
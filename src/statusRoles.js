@@ -0,0 +1,192 @@
+// src/statusRoles.js
+// Roles granted while a member's presence matches a rule (guild setting `status_roles`).
+// A rule is { id, match, match_type, activity, role, grace_minutes, announce_channel }:
+//   match_type: contains | exact | regex (case-insensitive)
+//   activity:   custom (custom status text), playing (game name), streaming (stream title or game)
+// When a rule stops matching the role is removed after grace_minutes; a match in the meantime keeps it.
+// Presence events missed while offline are caught up by reconcile().
+import crypto from 'crypto';
+import { ActivityType } from 'discord.js';
+
+export const STATUS_MATCH_TYPES = ['contains', 'exact', 'regex'];
+export const STATUS_ACTIVITIES = {
+  custom: 'Custom status',
+  playing: 'Playing',
+  streaming: 'Streaming'
+};
+const MAX_REGEX_LENGTH = 200;
+// Presence texts are cut to this length before matching (Discord's own limit is 128 for custom statuses)
+const MAX_TEXT_LENGTH = 256;
+
+// Reason a pattern could backtrack catastrophically, or null. Rejects a repeated group whose contents
+// repeat or alternate ((a+)+, (a|aa)*, ((ab)*c)+) and backreferences; length is capped separately.
+function unsafeRegexReason(source) {
+  const groups = []; // per open group: whether its contents repeat or alternate
+  const repeatsAt = i => source[i] === '*' || source[i] === '+' || (source[i] === '{' && /^\{\d+(,\d*)?\}/.test(source.slice(i)));
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (c === '\\') {
+      if (/[1-9k]/.test(source[i + 1] || '')) return 'Backreferences are not allowed in status role patterns.';
+      i++;
+    } else if (c === '[') {
+      // Skip the character class; a quantifier after it is seen on the next iteration
+      for (i++; i < source.length && source[i] !== ']'; i++) if (source[i] === '\\') i++;
+    } else if (c === '(') {
+      groups.push(false);
+    } else if (c === ')') {
+      const risky = groups.pop();
+      const repeated = repeatsAt(i + 1);
+      if (risky && repeated) return 'Repeating a group that itself repeats or alternates (like `(a+)+` or `(a|b)*`) is not allowed; it can freeze the bot.';
+      if (groups.length && (risky || repeated)) groups[groups.length - 1] = true;
+    } else if (c === '|' || repeatsAt(i)) {
+      if (groups.length) groups[groups.length - 1] = true;
+    }
+  }
+  return null;
+}
+
+// Fills in defaults (rules saved before match types existed are { match, role })
+export function normalizeRule(rule) {
+  return {
+    id: rule.id || crypto.createHash('sha1').update(`${rule.match}:${rule.role}`).digest('hex').slice(0, 6),
+    match: rule.match,
+    match_type: rule.match_type || 'contains',
+    activity: rule.activity || 'custom',
+    role: rule.role,
+    grace_minutes: rule.grace_minutes || 0,
+    announce_channel: rule.announce_channel || null
+  };
+}
+
+// Returns an error message for an invalid rule, or null
+export function validateRule(rule) {
+  if (!rule.match) return 'The match text is empty.';
+  if (!STATUS_MATCH_TYPES.includes(rule.match_type)) return `Unknown match type "${rule.match_type}".`;
+  if (!STATUS_ACTIVITIES[rule.activity]) return `Unknown activity "${rule.activity}".`;
+  if (rule.match_type === 'regex') {
+    if (rule.match.length > MAX_REGEX_LENGTH) return `Regular expressions are limited to ${MAX_REGEX_LENGTH} characters.`;
+    const unsafe = unsafeRegexReason(rule.match);
+    if (unsafe) return unsafe;
+    try {
+      new RegExp(rule.match, 'i');
+    } catch (err) {
+      return err.message;
+    }
+  }
+  return null;
+}
+
+// Texts of a presence that a rule's activity looks at
+function activityTexts(presence, activity) {
+  const activities = presence?.activities || [];
+  if (activity === 'custom') {
+    return activities.filter(a => a.type === ActivityType.Custom).map(a => a.state);
+  }
+  const type = activity === 'playing' ? ActivityType.Playing : ActivityType.Streaming;
+  return activities.filter(a => a.type === type).flatMap(a => [a.name, a.details, a.state]);
+}
+
+// Stored rules are re-checked here too, so a pattern saved before the safety check can't run
+export function ruleMatches(rule, presence) {
+  const texts = activityTexts(presence, rule.activity).filter(t => typeof t === 'string').map(t => t.trim().slice(0, MAX_TEXT_LENGTH));
+  if (rule.match_type === 'regex') {
+    if (unsafeRegexReason(rule.match)) return false;
+    const re = new RegExp(rule.match, 'i');
+    return texts.some(t => re.test(t));
+  }
+  const match = rule.match.toLowerCase();
+  return texts.some(t => (rule.match_type === 'exact' ? t.toLowerCase() === match : t.toLowerCase().includes(match)));
+}
+
+// One-line description for lists
+export function describeRule(rule) {
+  const parts = [`${STATUS_ACTIVITIES[rule.activity]} ${rule.match_type} \`${rule.match}\` → <@&${rule.role}>`];
+  if (rule.grace_minutes) parts.push(`grace ${rule.grace_minutes}m`);
+  if (rule.announce_channel) parts.push(`announced in <#${rule.announce_channel}>`);
+  return `\`${rule.id}\` ${parts.join(' · ')}`;
+}
+
+export function createStatusRoleEngine({ guildConfig }) {
+  const removals = new Map(); // `${guildId}:${userId}:${roleId}` -> timeout of a pending removal
+
+  function rulesFor(guildId) {
+    return (guildConfig.get(guildId).status_roles || []).map(normalizeRule);
+  }
+
+  async function grant(member, rule) {
+    try {
+      await member.roles.add(rule.role, `Status role rule ${rule.id}`);
+      console.log(`Added status role ${rule.role} to ${member.user.tag}`);
+    } catch (e) {
+      console.warn(`Failed to add status role ${rule.role} to ${member.user.tag}:`, e?.message || e);
+      return;
+    }
+    if (!rule.announce_channel) return;
+    const channel = member.guild.channels.cache.get(rule.announce_channel);
+    await channel?.send({
+      content: `🎉 ${member} now has <@&${rule.role}>!`,
+      allowedMentions: { users: [member.id] }
+    }).catch(e => console.warn(`Failed to announce status role ${rule.role}:`, e?.message || e));
+  }
+
+  async function revoke(member, roleId) {
+    // Re-check: the member may have left or lost the role meanwhile
+    if (!member.roles.cache.has(roleId)) return;
+    await member.roles.remove(roleId, 'Status no longer matches').then(
+      () => console.log(`Removed status role ${roleId} from ${member.user.tag}`),
+      e => console.warn(`Failed to remove status role ${roleId} from ${member.user.tag}:`, e?.message || e)
+    );
+  }
+
+  // Bring one member's status roles in line with their presence
+  async function apply(member, presence) {
+    const rules = rulesFor(member.guild.id);
+    if (!rules.length) return;
+
+    // Several rules may share a role; it stays while any of them matches
+    const byRole = new Map();
+    for (const rule of rules) {
+      const entry = byRole.get(rule.role) || { matched: null, grace: 0 };
+      if (ruleMatches(rule, presence)) entry.matched ??= rule;
+      entry.grace = Math.max(entry.grace, rule.grace_minutes);
+      byRole.set(rule.role, entry);
+    }
+
+    for (const [roleId, { matched, grace }] of byRole) {
+      const key = `${member.guild.id}:${member.id}:${roleId}`;
+      if (matched) {
+        clearTimeout(removals.get(key));
+        removals.delete(key);
+        if (!member.roles.cache.has(roleId)) await grant(member, matched);
+      } else if (member.roles.cache.has(roleId) && !removals.has(key)) {
+        if (!grace) {
+          await revoke(member, roleId);
+          continue;
+        }
+        removals.set(key, setTimeout(() => {
+          removals.delete(key);
+          revoke(member, roleId);
+        }, grace * 60 * 1000).unref());
+      }
+    }
+  }
+
+  // Check every member of a guild (members with a rule's role, and members with a presence).
+  // Returns the number of members checked.
+  async function reconcile(guild) {
+    const rules = rulesFor(guild.id);
+    if (!rules.length) return 0;
+    const roleIds = new Set(rules.map(r => r.role));
+    const members = await guild.members.fetch();
+    let checked = 0;
+    for (const member of members.values()) {
+      const presence = guild.presences.cache.get(member.id);
+      if (!presence && !member.roles.cache.some(r => roleIds.has(r.id))) continue;
+      await apply(member, presence);
+      checked++;
+    }
+    return checked;
+  }
+
+  return { apply, reconcile, rulesFor };
+}
@@ -0,0 +1,38 @@
+// src/storage/index.js
+// Storage layer used by every command and web route. Both backends expose the same
+// synchronous interface:
+//   getUser(id) / putUser(record) / deleteUser(id) / listUsers() / countUsers()
+//   queryUsers({ search, verifiedAfter, verifiedBefore, guildId, sort, limit, offset }) -> { total, users }
+//   replaceUsers(records) / getConfig() / setConfig(key, value) / transaction(fn) / close()
+//   checkWritable() (throws when writes would fail; used by GET /readyz)
+// Soft deletion ("trash"), entries are { batchId, deletedAt, reason, by, user }:
+//   trashUsers(ids, { reason, by, guildId }) -> { batchId, users } / listTrash({ batchId, userId, guildId })
+//   restoreTrash({ batchId, userId, guildId }) -> { restored, skipped } / purgeTrash(beforeIso) -> count
+//   (guildId keeps entries of users who verified through that guild, as in queryUsers; trashUsers with
+//   a guildId removes only that guild's verification, see src/storage/trash.js)
+//   deleteTrashUser(userId) -> count (every trash entry of one user)
+// Background jobs (see src/restoreJobs.js), stored whole as { id, status, createdAt, ... }:
+//   getJob(id) / putJob(job) / listJobs() (newest first) / deleteJob(id)
+import { createJsonStorage } from './jsonStorage.js';
+import { importJsonFiles } from './migrate.js';
+
+export { SORT_ORDERS } from './query.js';
+
+export async function createStorage({ backend, usersFile, configFile, databaseFile }) {
+  if (backend === 'json') {
+    const base = usersFile.replace(/\.json$/, '');
+    return createJsonStorage({ usersFile, configFile, trashFile: `${base}_trash.json`, jobsFile: `${base}_jobs.json` });
+  }
+  if (backend !== 'sqlite') {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected "sqlite" or "json")`);
+  }
+
+  // Imported lazily so the JSON backend works without the native module installed
+  const { createSqliteStorage } = await import('./sqliteStorage.js');
+  const storage = createSqliteStorage({ file: databaseFile });
+  const imported = importJsonFiles(storage, { usersFile, configFile });
+  if (imported) {
+    console.log(`📦 Imported ${imported.users} users and ${imported.configKeys} config keys from JSON files.`);
+  }
+  return storage;
+}
@@ -0,0 +1,252 @@
+// src/storage/jsonStorage.js
+// JSON file backend: keeps users.json / config.json as the source of truth, but
+// holds them in memory and writes atomically so concurrent commands can't clobber each other.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { matchesQuery, sortUsers } from './query.js';
+import { splitForTrash, restoredRecord } from './trash.js';
+
+function readJson(file, fallback = {}) {
+  try {
+    if (!fs.existsSync(file)) return fallback;
+    return JSON.parse(fs.readFileSync(file, 'utf8') || JSON.stringify(fallback));
+  } catch (err) {
+    console.error(`Failed to load JSON from ${file}:`, err);
+    return fallback;
+  }
+}
+
+// Write to a temp file and rename over the target so a crash never leaves half a file behind
+function writeJsonAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+// users.json is keyed by user ID; older files don't always repeat the ID inside the record
+function readUsers(file) {
+  const out = {};
+  for (const [id, u] of Object.entries(readJson(file))) out[id] = { ...u, id: u.id || id };
+  return out;
+}
+
+export function createJsonStorage({ usersFile, configFile, trashFile, jobsFile }) {
+  // One entry per file; `data` is the in-memory copy, `dirty` means it needs writing
+  const files = {
+    users: { file: usersFile, read: () => readUsers(usersFile) },
+    config: { file: configFile, read: () => readJson(configFile) },
+    trash: { file: trashFile, read: () => readJson(trashFile, []) },
+    jobs: { file: jobsFile, read: () => readJson(jobsFile) }
+  };
+  for (const f of Object.values(files)) {
+    f.data = f.read();
+    f.dirty = false;
+  }
+  let depth = 0;
+
+  function flush() {
+    if (depth > 0) return;
+    try {
+      for (const f of Object.values(files)) if (f.dirty) writeJsonAtomic(f.file, f.data);
+    } catch (err) {
+      console.error('Failed to save JSON storage:', err);
+      throw err;
+    } finally {
+      for (const f of Object.values(files)) f.dirty = false;
+    }
+  }
+
+  function mark(name) {
+    files[name].dirty = true;
+    flush();
+  }
+
+  const users = () => files.users.data;
+  const config = () => files.config.data;
+  const trash = () => files.trash.data;
+  const jobs = () => files.jobs.data;
+
+  function trashMatches(entry, { batchId, userId, guildId } = {}) {
+    return (!batchId || entry.batchId === batchId) && (!userId || entry.user.id === userId) &&
+      (!guildId || Boolean(entry.user.guilds?.[guildId]));
+  }
+
+  const storage = {
+    backend: 'json',
+
+    getUser(id) {
+      const u = users()[id];
+      return u ? structuredClone(u) : null;
+    },
+
+    putUser(record) {
+      if (!record?.id) throw new Error('putUser: record.id is required');
+      users()[record.id] = structuredClone(record);
+      mark('users');
+    },
+
+    deleteUser(id) {
+      if (!users()[id]) return false;
+      delete users()[id];
+      mark('users');
+      return true;
+    },
+
+    listUsers() {
+      return Object.values(users()).map(u => structuredClone(u));
+    },
+
+    countUsers() {
+      return Object.keys(users()).length;
+    },
+
+    queryUsers(query = {}) {
+      const matched = sortUsers(Object.values(users()).filter(u => matchesQuery(u, query)), query.sort);
+      const offset = query.offset || 0;
+      const slice = query.limit ? matched.slice(offset, offset + query.limit) : matched.slice(offset);
+      return { total: matched.length, users: slice.map(u => structuredClone(u)) };
+    },
+
+    replaceUsers(records) {
+      files.users.data = {};
+      for (const r of records) users()[r.id] = structuredClone(r);
+      mark('users');
+    },
+
+    getConfig() {
+      return structuredClone(config());
+    },
+
+    setConfig(key, value) {
+      if (value === undefined) delete config()[key];
+      else config()[key] = structuredClone(value);
+      mark('config');
+    },
+
+    trashUsers(ids, { reason, by, guildId }) {
+      return storage.transaction(() => {
+        const batchId = crypto.randomBytes(6).toString('hex');
+        const deletedAt = new Date().toISOString();
+        const moved = [];
+        for (const id of ids) {
+          const split = users()[id] && splitForTrash(users()[id], guildId);
+          if (!split) continue;
+          trash().push({ batchId, deletedAt, reason, by: by || null, user: split.trashed });
+          if (split.kept) users()[id] = split.kept;
+          else delete users()[id];
+          moved.push(structuredClone(split.trashed));
+        }
+        mark('users');
+        mark('trash');
+        return { batchId, users: moved };
+      });
+    },
+
+    listTrash(filter) {
+      return trash().filter(e => trashMatches(e, filter))
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+        .map(e => structuredClone(e));
+    },
+
+    restoreTrash(filter) {
+      return storage.transaction(() => {
+        const restored = [];
+        const skipped = [];
+        files.trash.data = trash().filter((e) => {
+          if (!trashMatches(e, filter)) return true;
+          const record = restoredRecord(users()[e.user.id], e.user);
+          if (!record) {
+            skipped.push(structuredClone(e.user));
+            return true;
+          }
+          users()[e.user.id] = record;
+          restored.push(structuredClone(record));
+          return false;
+        });
+        mark('users');
+        mark('trash');
+        return { restored, skipped };
+      });
+    },
+
+    deleteTrashUser(userId) {
+      const keep = trash().filter(e => e.user.id !== userId);
+      const deleted = trash().length - keep.length;
+      if (deleted) {
+        files.trash.data = keep;
+        mark('trash');
+      }
+      return deleted;
+    },
+
+    purgeTrash(before) {
+      const keep = trash().filter(e => e.deletedAt >= before);
+      const purged = trash().length - keep.length;
+      if (purged) {
+        files.trash.data = keep;
+        mark('trash');
+      }
+      return purged;
+    },
+
+    getJob(id) {
+      const job = jobs()[id];
+      return job ? structuredClone(job) : null;
+    },
+
+    putJob(job) {
+      jobs()[job.id] = structuredClone(job);
+      mark('jobs');
+    },
+
+    listJobs() {
+      return Object.values(jobs())
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(j => structuredClone(j));
+    },
+
+    deleteJob(id) {
+      if (!jobs()[id]) return false;
+      delete jobs()[id];
+      mark('jobs');
+      return true;
+    },
+
+    // Batch several writes into a single file rewrite. If fn throws, nothing is written
+    // and the in-memory state is reloaded from disk.
+    transaction(fn) {
+      depth++;
+      let ok = false;
+      try {
+        const result = fn();
+        ok = true;
+        return result;
+      } finally {
+        depth--;
+        if (ok) flush();
+        else if (depth === 0) {
+          for (const f of Object.values(files)) {
+            f.data = f.read();
+            f.dirty = false;
+          }
+        }
+      }
+    },
+
+    // Throws if a storage file (or, for files not written yet, the closest existing directory) isn't writable
+    checkWritable() {
+      for (const f of Object.values(files)) {
+        let target = f.file;
+        while (!fs.existsSync(target)) target = path.dirname(target);
+        fs.accessSync(target, fs.constants.W_OK);
+      }
+    },
+
+    close() {
+      flush();
+    }
+  };
+  return storage;
+}
@@ -0,0 +1,35 @@
+// src/storage/migrate.js
+// One-time import of the legacy users.json / config.json files into a fresh database.
+import fs from 'fs';
+
+function readLegacy(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8') || '{}');
+}
+
+// Returns { users, configKeys } counts, or null if the import already ran
+export function importJsonFiles(storage, { usersFile, configFile }) {
+  if (storage.getMeta('json_imported_at')) return null;
+
+  const legacyUsers = readLegacy(usersFile) || {};
+  const legacyConfig = readLegacy(configFile) || {};
+
+  return storage.transaction(() => {
+    let users = 0;
+    for (const [id, u] of Object.entries(legacyUsers)) {
+      // Don't overwrite anything that already landed in the database
+      if (storage.getUser(id)) continue;
+      storage.putUser({ ...u, id: u.id || id });
+      users++;
+    }
+    const existing = storage.getConfig();
+    let configKeys = 0;
+    for (const [key, value] of Object.entries(legacyConfig)) {
+      if (key in existing) continue;
+      storage.setConfig(key, value);
+      configKeys++;
+    }
+    storage.setMeta('json_imported_at', new Date().toISOString());
+    return { users, configKeys };
+  });
+}
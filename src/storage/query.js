@@ -0,0 +1,31 @@
+// src/storage/query.js
+// Shared user-query semantics so every backend filters and sorts the same way.
+
+export const SORT_ORDERS = ['verified_desc', 'verified_asc', 'name_asc', 'name_desc'];
+
+// query: { search, verifiedAfter, verifiedBefore, guildId } — dates are ISO strings,
+// guildId keeps users who verified through that guild
+export function matchesQuery(u, query = {}) {
+  if (query.search) {
+    const needle = String(query.search).toLowerCase();
+    const name = (u.username || '').toLowerCase();
+    if (!String(u.id).includes(needle) && !name.includes(needle)) return false;
+  }
+  if (query.verifiedAfter && !(u.verifiedAt && u.verifiedAt >= query.verifiedAfter)) return false;
+  if (query.verifiedBefore && !(u.verifiedAt && u.verifiedAt < query.verifiedBefore)) return false;
+  if (query.guildId && !u.guilds?.[query.guildId]) return false;
+  return true;
+}
+
+// Returns a new array; unknown/empty sort keeps insertion order
+export function sortUsers(list, sort) {
+  const byName = (a, b) => (a.username || '').localeCompare(b.username || '');
+  const byVerified = (a, b) => (a.verifiedAt || '').localeCompare(b.verifiedAt || '');
+  switch (sort) {
+    case 'verified_desc': return [...list].sort((a, b) => byVerified(b, a));
+    case 'verified_asc': return [...list].sort(byVerified);
+    case 'name_asc': return [...list].sort(byName);
+    case 'name_desc': return [...list].sort((a, b) => byName(b, a));
+    default: return [...list];
+  }
+}
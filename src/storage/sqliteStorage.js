@@ -0,0 +1,299 @@
+// src/storage/sqliteStorage.js
+// SQLite backend: one row per user (full record kept as JSON in `data`, with the
+// columns we filter/sort on pulled out), config as key/value rows.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import Database from 'better-sqlite3';
+import { splitForTrash, restoredRecord } from './trash.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS users (
+    id          TEXT PRIMARY KEY,
+    username    TEXT,
+    verified_at TEXT,
+    data        TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS users_verified_at ON users (verified_at);
+  CREATE TABLE IF NOT EXISTS config (
+    key   TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS trash (
+    batch_id   TEXT NOT NULL,
+    user_id    TEXT NOT NULL,
+    deleted_at TEXT NOT NULL,
+    reason     TEXT,
+    deleted_by TEXT,
+    data       TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS trash_batch ON trash (batch_id);
+  CREATE INDEX IF NOT EXISTS trash_deleted_at ON trash (deleted_at);
+  CREATE TABLE IF NOT EXISTS jobs (
+    id         TEXT PRIMARY KEY,
+    status     TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    data       TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS meta (
+    key   TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+const ORDER_BY = {
+  verified_desc: 'verified_at DESC',
+  verified_asc: 'verified_at ASC',
+  name_asc: 'username COLLATE NOCASE ASC',
+  name_desc: 'username COLLATE NOCASE DESC'
+};
+
+export function createSqliteStorage({ file }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(SCHEMA);
+
+  const stmts = {
+    getUser: db.prepare('SELECT data FROM users WHERE id = ?'),
+    putUser: db.prepare(`
+      INSERT INTO users (id, username, verified_at, data) VALUES (@id, @username, @verified_at, @data)
+      ON CONFLICT(id) DO UPDATE SET username = excluded.username, verified_at = excluded.verified_at, data = excluded.data
+    `),
+    deleteUser: db.prepare('DELETE FROM users WHERE id = ?'),
+    deleteAllUsers: db.prepare('DELETE FROM users'),
+    listUsers: db.prepare('SELECT data FROM users ORDER BY rowid'),
+    countUsers: db.prepare('SELECT COUNT(*) AS n FROM users'),
+    getConfig: db.prepare('SELECT key, value FROM config'),
+    setConfig: db.prepare('INSERT INTO config (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+    deleteConfig: db.prepare('DELETE FROM config WHERE key = ?'),
+    insertTrash: db.prepare(`
+      INSERT INTO trash (batch_id, user_id, deleted_at, reason, deleted_by, data)
+      VALUES (@batch_id, @user_id, @deleted_at, @reason, @deleted_by, @data)
+    `),
+    deleteTrashRow: db.prepare('DELETE FROM trash WHERE rowid = ?'),
+    purgeTrash: db.prepare('DELETE FROM trash WHERE deleted_at < ?'),
+    deleteTrashUser: db.prepare('DELETE FROM trash WHERE user_id = ?'),
+    getJob: db.prepare('SELECT data FROM jobs WHERE id = ?'),
+    putJob: db.prepare(`
+      INSERT INTO jobs (id, status, created_at, data) VALUES (@id, @status, @created_at, @data)
+      ON CONFLICT(id) DO UPDATE SET status = excluded.status, data = excluded.data
+    `),
+    listJobs: db.prepare('SELECT data FROM jobs ORDER BY created_at DESC'),
+    deleteJob: db.prepare('DELETE FROM jobs WHERE id = ?'),
+    getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+    setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+  };
+
+  function writeUser(record) {
+    if (!record?.id) throw new Error('putUser: record.id is required');
+    stmts.putUser.run({
+      id: String(record.id),
+      username: record.username ?? null,
+      verified_at: record.verifiedAt ?? null,
+      data: JSON.stringify(record)
+    });
+  }
+
+  const replaceUsers = db.transaction((records) => {
+    stmts.deleteAllUsers.run();
+    for (const r of records) writeUser(r);
+  });
+
+  // Trash rows matching { batchId, userId }, newest first
+  function selectTrash({ batchId, userId, guildId } = {}) {
+    const where = [];
+    const params = {};
+    if (batchId) {
+      where.push('batch_id = @batchId');
+      params.batchId = batchId;
+    }
+    if (userId) {
+      where.push('user_id = @userId');
+      params.userId = userId;
+    }
+    if (guildId) {
+      where.push('json_type(data, @guildPath) IS NOT NULL');
+      params.guildPath = `$.guilds."${String(guildId).replace(/"/g, '')}"`;
+    }
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    return db.prepare(`SELECT rowid, * FROM trash ${whereSql} ORDER BY deleted_at DESC, rowid DESC`).all(params);
+  }
+
+  const toTrashEntry = (row) => ({
+    batchId: row.batch_id,
+    deletedAt: row.deleted_at,
+    reason: row.reason,
+    by: row.deleted_by,
+    user: JSON.parse(row.data)
+  });
+
+  const trashUsers = db.transaction((ids, { reason, by, guildId }) => {
+    const batchId = crypto.randomBytes(6).toString('hex');
+    const deletedAt = new Date().toISOString();
+    const moved = [];
+    for (const id of ids) {
+      const row = stmts.getUser.get(String(id));
+      const split = row && splitForTrash(JSON.parse(row.data), guildId);
+      if (!split) continue;
+      stmts.insertTrash.run({
+        batch_id: batchId,
+        user_id: String(id),
+        deleted_at: deletedAt,
+        reason,
+        deleted_by: by || null,
+        data: JSON.stringify(split.trashed)
+      });
+      if (split.kept) writeUser(split.kept);
+      else stmts.deleteUser.run(String(id));
+      moved.push(split.trashed);
+    }
+    return { batchId, users: moved };
+  });
+
+  const restoreTrash = db.transaction((filter) => {
+    const restored = [];
+    const skipped = [];
+    for (const row of selectTrash(filter)) {
+      const user = JSON.parse(row.data);
+      const current = stmts.getUser.get(row.user_id);
+      const record = restoredRecord(current && JSON.parse(current.data), user);
+      if (!record) {
+        skipped.push(user);
+        continue;
+      }
+      writeUser(record);
+      stmts.deleteTrashRow.run(row.rowid);
+      restored.push(record);
+    }
+    return { restored, skipped };
+  });
+
+  return {
+    backend: 'sqlite',
+
+    getUser(id) {
+      const row = stmts.getUser.get(String(id));
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    putUser(record) {
+      writeUser(record);
+    },
+
+    deleteUser(id) {
+      return stmts.deleteUser.run(String(id)).changes > 0;
+    },
+
+    listUsers() {
+      return stmts.listUsers.all().map(r => JSON.parse(r.data));
+    },
+
+    countUsers() {
+      return stmts.countUsers.get().n;
+    },
+
+    queryUsers(query = {}) {
+      const where = [];
+      const params = {};
+      if (query.search) {
+        where.push("(id LIKE @search ESCAPE '\\' OR username LIKE @search ESCAPE '\\')");
+        params.search = `%${String(query.search).replace(/[\\%_]/g, m => `\\${m}`)}%`;
+      }
+      if (query.verifiedAfter) {
+        where.push('verified_at >= @after');
+        params.after = query.verifiedAfter;
+      }
+      if (query.verifiedBefore) {
+        where.push('verified_at < @before');
+        params.before = query.verifiedBefore;
+      }
+      if (query.guildId) {
+        where.push('json_type(data, @guildPath) IS NOT NULL');
+        params.guildPath = `$.guilds."${String(query.guildId).replace(/"/g, '')}"`;
+      }
+      const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+      const orderSql = `ORDER BY ${ORDER_BY[query.sort] || 'rowid'}`;
+      const limitSql = query.limit ? `LIMIT ${Number(query.limit)} OFFSET ${Number(query.offset || 0)}` : '';
+
+      const total = db.prepare(`SELECT COUNT(*) AS n FROM users ${whereSql}`).get(params).n;
+      const rows = db.prepare(`SELECT data FROM users ${whereSql} ${orderSql} ${limitSql}`).all(params);
+      return { total, users: rows.map(r => JSON.parse(r.data)) };
+    },
+
+    replaceUsers(records) {
+      replaceUsers(records);
+    },
+
+    getConfig() {
+      const out = {};
+      for (const { key, value } of stmts.getConfig.all()) out[key] = JSON.parse(value);
+      return out;
+    },
+
+    setConfig(key, value) {
+      if (value === undefined) stmts.deleteConfig.run(key);
+      else stmts.setConfig.run(key, JSON.stringify(value));
+    },
+
+    trashUsers(ids, options) {
+      return trashUsers(ids, options);
+    },
+
+    listTrash(filter) {
+      return selectTrash(filter).map(toTrashEntry);
+    },
+
+    restoreTrash(filter) {
+      return restoreTrash(filter);
+    },
+
+    deleteTrashUser(userId) {
+      return stmts.deleteTrashUser.run(String(userId)).changes;
+    },
+
+    purgeTrash(before) {
+      return stmts.purgeTrash.run(before).changes;
+    },
+
+    getJob(id) {
+      const row = stmts.getJob.get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    putJob(job) {
+      stmts.putJob.run({ id: job.id, status: job.status, created_at: job.createdAt, data: JSON.stringify(job) });
+    },
+
+    listJobs() {
+      return stmts.listJobs.all().map(r => JSON.parse(r.data));
+    },
+
+    deleteJob(id) {
+      return stmts.deleteJob.run(id).changes > 0;
+    },
+
+    getMeta(key) {
+      return stmts.getMeta.get(key)?.value ?? null;
+    },
+
+    setMeta(key, value) {
+      stmts.setMeta.run(key, String(value));
+    },
+
+    // Throws if the database can't be written (read-only file, full disk, lock held too long)
+    checkWritable() {
+      stmts.setMeta.run('health_checked_at', new Date().toISOString());
+    },
+
+    // Runs fn inside a SQLite transaction; a throw rolls every write back
+    transaction(fn) {
+      return db.transaction(fn)();
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
@@ -0,0 +1,24 @@
+// src/storage/trash.js
+// Shared trash semantics so every backend removes and restores users the same way.
+
+// Removing a user from one guild only takes that guild's verification; the record itself
+// goes once no guild is left on it. Returns { trashed, kept } (kept: the record that stays,
+// or null), or null when the user isn't verified in that guild.
+export function splitForTrash(user, guildId) {
+  if (!guildId) return { trashed: user, kept: null };
+  if (!user.guilds?.[guildId]) return null;
+  const { [guildId]: removed, ...others } = user.guilds;
+  if (!Object.keys(others).length) return { trashed: user, kept: null };
+  return { trashed: { ...user, guilds: { [guildId]: removed } }, kept: { ...user, guilds: others } };
+}
+
+// The record to write back for a trash entry, or null to skip it. Someone who re-verified
+// since keeps their newer record; only the guilds it lacks are added back to it.
+export function restoredRecord(current, trashed) {
+  if (!current) return trashed;
+  const missing = Object.keys(trashed.guilds || {}).filter(g => !current.guilds?.[g]);
+  if (!missing.length) return null;
+  const guilds = { ...current.guilds };
+  for (const g of missing) guilds[g] = trashed.guilds[g];
+  return { ...current, guilds };
+}
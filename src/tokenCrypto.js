@@ -0,0 +1,95 @@
+// src/tokenCrypto.js
+// AES-256-GCM encryption for OAuth tokens at rest.
+// Sealed values look like `enc:v1:<keyId>:<iv>:<tag>:<ciphertext>` (base64url parts), so the
+// key that sealed a value is always known and old keys can stay configured while rotating.
+import crypto from 'crypto';
+
+const PREFIX = 'enc:v1:';
+const TOKEN_FIELDS = ['access_token', 'refresh_token'];
+
+// TOKEN_KEYS format: "keyId:base64Key,otherId:base64Key" — each key must decode to 32 bytes
+export function parseKeys(value) {
+  const keys = new Map();
+  for (const entry of (value || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const idx = entry.indexOf(':');
+    if (idx <= 0) throw new Error(`TOKEN_KEYS entry "${entry}" must be "<keyId>:<base64 key>"`);
+    const id = entry.slice(0, idx);
+    const key = Buffer.from(entry.slice(idx + 1), 'base64');
+    if (key.length !== 32) throw new Error(`TOKEN_KEYS key "${id}" must be 32 bytes (got ${key.length})`);
+    keys.set(id, key);
+  }
+  return keys;
+}
+
+export function isSealed(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+// Key that sealed a value (null for plaintext)
+export function keyIdOf(value) {
+  return isSealed(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+}
+
+export function createTokenCipher({ keys, activeKeyId }) {
+  const enabled = keys.size > 0;
+  if (enabled && !keys.has(activeKeyId)) {
+    throw new Error(`TOKEN_KEY_ID "${activeKeyId}" is not one of the configured TOKEN_KEYS`);
+  }
+  if (!enabled) {
+    console.warn('⚠️ TOKEN_KEYS not set — OAuth tokens will be stored unencrypted.');
+  }
+
+  function seal(plain) {
+    if (!enabled || plain == null || isSealed(plain)) return plain;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', keys.get(activeKeyId), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    return `${PREFIX}${activeKeyId}:${iv.toString('base64url')}:${tag.toString('base64url')}:${ciphertext.toString('base64url')}`;
+  }
+
+  // Plaintext (legacy, not yet rotated) values are returned as-is
+  function open(value) {
+    if (!isSealed(value)) return value;
+    const [keyId, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+    const key = keys.get(keyId);
+    if (!key) throw new Error(`No key configured for token key id "${keyId}"`);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+  }
+
+  return {
+    enabled,
+    activeKeyId,
+    seal,
+    open,
+
+    // Return a copy of a user record with its token fields sealed
+    sealUser(record) {
+      const out = { ...record };
+      for (const f of TOKEN_FIELDS) out[f] = seal(out[f]);
+      return out;
+    },
+
+    // True if any token on the record is still stored as plaintext
+    hasPlaintext(record) {
+      return enabled && TOKEN_FIELDS.some(f => record[f] != null && !isSealed(record[f]));
+    },
+
+    // True if any token on the record is plaintext or sealed with a non-active key
+    needsRotation(record) {
+      if (!enabled) return false;
+      return TOKEN_FIELDS.some(f => record[f] != null && keyIdOf(record[f]) !== activeKeyId);
+    },
+
+    // Re-seal a record's tokens with the active key
+    rotateUser(record) {
+      const out = { ...record };
+      for (const f of TOKEN_FIELDS) {
+        if (out[f] != null) out[f] = seal(open(out[f]));
+      }
+      return out;
+    }
+  };
+}
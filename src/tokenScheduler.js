@@ -0,0 +1,110 @@
+// src/tokenScheduler.js
+// Refreshes OAuth tokens shortly before they expire instead of sweeping every user on a fixed interval.
+// Each tick picks the users that are due (expires_at minus a margin, spread by a stable per-user jitter,
+// pushed back after failures) and refreshes them with a few workers that all pause when Discord's
+// rate-limit headers ask them to. Users whose grant was revoked (invalid_grant) are deleted.
+import crypto from 'crypto';
+
+const DEFAULT_LIFETIME = 7 * 24 * 60 * 60 * 1000; // Discord's usual expires_in, for records without expires_at
+const FAILURE_BACKOFF = 5 * 60 * 1000; // wait after a failed refresh, doubled per consecutive failure
+const MAX_BACKOFF = 6 * 60 * 60 * 1000;
+
+const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+// Stable 0..1 per user, so a user's jitter is the same every tick
+function jitterFraction(userId) {
+  return crypto.createHash('sha256').update(String(userId)).digest().readUInt32BE(0) / 0xffffffff;
+}
+
+// When a user's tokens should next be refreshed (ms since epoch), or null without a refresh token
+export function refreshDueAt(user, { refreshBefore, jitter }) {
+  if (!user.refresh_token) return null;
+  const health = user.token_health || {};
+  const expiresAt = Date.parse(health.expires_at) ||
+    (Date.parse(health.lastRefreshed || user.verifiedAt) || 0) + DEFAULT_LIFETIME;
+  const due = expiresAt - refreshBefore - jitterFraction(user.id) * jitter;
+  if (!(health.consecutiveFailures > 0)) return due;
+  const backoff = Math.min(FAILURE_BACKOFF * 2 ** (health.consecutiveFailures - 1), MAX_BACKOFF);
+  return Math.max(due, (Date.parse(health.lastError?.at) || 0) + backoff);
+}
+
+// refreshBefore: how long before expiry to refresh; jitter: up to this much earlier, per user;
+// onExpired(users): called after a cycle with the users deleted for a revoked grant
+export function createTokenScheduler({ storage, memberActions, onExpired, concurrency = 4, refreshBefore, jitter, tickMs }) {
+  let timer = null;
+  let running = false;
+  let pausedUntil = 0; // shared by all workers
+  let lastCycle = null;
+  let lastCheckAt = null; // last time the loop looked for due users, even if none were due
+  const totals = { cycles: 0, refreshed: 0, failed: 0, skipped: 0, deleted: 0, durationMs: 0 };
+
+  function dueUsers(now = Date.now()) {
+    return storage.listUsers()
+      .map(user => ({ user, at: refreshDueAt(user, { refreshBefore, jitter }) }))
+      .filter(d => d.at !== null && d.at <= now)
+      .sort((a, b) => a.at - b.at)
+      .map(d => d.user);
+  }
+
+  // Refresh every due user; returns the cycle's stats, or null if a cycle is already running
+  async function runCycle() {
+    if (running) return null;
+    running = true;
+    const startedAt = Date.now();
+    lastCheckAt = new Date(startedAt).toISOString();
+    const counts = { refreshed: 0, failed: 0, skipped: 0 };
+    const expired = [];
+    try {
+      const due = dueUsers(startedAt);
+      if (!due.length) return null;
+      console.log(`🔄 Refreshing ${due.length} tokens (${concurrency} at a time)...`);
+
+      let next = 0;
+      const worker = async () => {
+        while (next < due.length) {
+          const user = due[next++];
+          if (Date.now() < pausedUntil) await sleep(pausedUntil - Date.now());
+          const result = await memberActions.refreshToken(user);
+          if (result.waitMs) pausedUntil = Math.max(pausedUntil, Date.now() + result.waitMs);
+
+          if (result.status === 'refreshed') counts.refreshed++;
+          else if (result.status === 'invalid') {
+            // Only a revoked grant deletes the user; failures are retried after a backoff
+            console.warn(`🗑️ Deleting user ${user.id} (${result.error})`, result.details || '');
+            storage.deleteUser(user.id);
+            expired.push({ id: user.id, username: user.username, guilds: user.guilds, reason: result.error });
+          } else {
+            counts[result.status]++;
+            console.warn(`⚠️ Keeping user ${user.id}, refresh ${result.status} (${result.error})`);
+          }
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(concurrency, due.length) }, worker));
+
+      lastCycle = { startedAt: new Date(startedAt).toISOString(), durationMs: Date.now() - startedAt, due: due.length, ...counts, deleted: expired.length };
+      totals.cycles++;
+      totals.durationMs += lastCycle.durationMs;
+      for (const key of ['refreshed', 'failed', 'skipped', 'deleted']) totals[key] += lastCycle[key];
+      console.log(`✅ Token refresh complete in ${(lastCycle.durationMs / 1000).toFixed(1)}s: ${counts.refreshed} refreshed, ${counts.failed} failed (kept), ${counts.skipped} skipped, ${expired.length} deleted`);
+      return lastCycle;
+    } finally {
+      running = false;
+      if (expired.length) await Promise.resolve(onExpired?.(expired)).catch(err => console.error('Token expiry report failed:', err));
+    }
+  }
+
+  // Check for due users every tickMs, the first time after firstDelayMs
+  function start(firstDelayMs = 60000) {
+    if (timer) return;
+    const tick = () => runCycle().catch(err => console.error('Token refresh cycle failed:', err));
+    timer = setInterval(tick, tickMs);
+    setTimeout(tick, firstDelayMs);
+  }
+
+  // { running, dueNow, lastCheckAt, lastCycle, totals } for /tokenhealth and metrics
+  function stats() {
+    return { running, dueNow: dueUsers().length, lastCheckAt, lastCycle, totals: { ...totals } };
+  }
+
+  return { start, runCycle, stats };
+}
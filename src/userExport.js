@@ -0,0 +1,79 @@
+// src/userExport.js
+// CSV/JSON exports of verified users for /export and the dashboard.
+// Only fields listed in EXPORT_FIELDS can be exported, so OAuth tokens never leave the bot;
+// IPs are replaced with "[redacted]" unless includeIp is set.
+import zlib from 'zlib';
+
+// Each field reads from the stored record plus an optional guild context ({ guild, members })
+export const EXPORT_FIELDS = {
+  id: { label: 'User ID', get: u => u.id },
+  username: { label: 'Username', get: u => u.username || '' },
+  verifiedAt: { label: 'Last verified', get: u => u.verifiedAt || '' },
+  guilds: { label: 'Verified in guilds', get: u => Object.keys(u.guilds || {}) },
+  in_guild: { label: 'In this server', get: (u, ctx) => (ctx.members ? ctx.members.has(u.id) : null) },
+  roles: {
+    label: 'Roles in this server',
+    get: (u, ctx) => {
+      const member = ctx.members?.get(u.id);
+      return member ? member.roles.cache.filter(r => r.id !== ctx.guild?.id).map(r => r.name) : [];
+    }
+  },
+  ip: { label: 'IP address', get: (u, ctx) => (ctx.includeIp ? u.ip || '' : '[redacted]') }
+};
+
+export const DEFAULT_EXPORT_FIELDS = ['id', 'username', 'verifiedAt'];
+export const EXPORT_FORMATS = ['csv', 'json'];
+
+// Fields that need guild members to fill in
+export function needsGuildMembers(fields) {
+  return fields.includes('in_guild') || fields.includes('roles');
+}
+
+// "id, username" -> { fields } or { error }
+export function parseExportFields(value) {
+  if (!value) return { fields: DEFAULT_EXPORT_FIELDS };
+  const fields = [...new Set(String(value).split(',').map(s => s.trim()).filter(Boolean))];
+  const unknown = fields.filter(f => !EXPORT_FIELDS[f]);
+  if (unknown.length) return { error: `Unknown field(s): ${unknown.join(', ')}. Available: ${Object.keys(EXPORT_FIELDS).join(', ')}` };
+  return { fields: fields.length ? fields : DEFAULT_EXPORT_FIELDS };
+}
+
+export function csvCell(value) {
+  const text = Array.isArray(value) ? value.join(';') : value == null ? '' : String(value);
+  // Quote when needed; a leading =, +, -, @, tab or CR is prefixed so spreadsheets don't run it as a formula
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+// context: { guild, members, includeIp }
+export function renderExport(users, { format, fields, context = {} }) {
+  const rows = users.map(u => fields.map(f => EXPORT_FIELDS[f].get(u, context)));
+  if (format === 'json') {
+    return JSON.stringify(rows.map(r => Object.fromEntries(fields.map((f, i) => [f, r[i]]))), null, 2);
+  }
+  return [fields.join(','), ...rows.map(r => r.map(csvCell).join(','))].join('\r\n') + '\r\n';
+}
+
+// Files small enough to attach: plain if it fits, gzipped if that fits, otherwise the users are
+// split into parts (each a complete CSV/JSON file, gzipped). Returns [{ name, data: Buffer }].
+export function packageExport(users, { format, fields, context, baseName, maxBytes }) {
+  const plain = Buffer.from(renderExport(users, { format, fields, context }));
+  if (plain.length <= maxBytes) return [{ name: `${baseName}.${format}`, data: plain }];
+
+  const gz = zlib.gzipSync(plain);
+  if (gz.length <= maxBytes || users.length <= 1) return [{ name: `${baseName}.${format}.gz`, data: gz }];
+
+  // Aim a bit under the limit so uneven parts still fit; oversized parts are split again
+  const parts = Math.ceil((gz.length / maxBytes) * 1.2);
+  const size = Math.ceil(users.length / parts);
+  const files = [];
+  for (let i = 0; i < parts; i++) {
+    const chunk = users.slice(i * size, (i + 1) * size);
+    if (!chunk.length) break;
+    const name = `${baseName}-part${i + 1}`;
+    files.push(...packageExport(chunk, { format, fields, context, baseName: name, maxBytes }).map(f => (
+      f.name.endsWith('.gz') ? f : { name: `${f.name}.gz`, data: zlib.gzipSync(f.data) }
+    )));
+  }
+  return files;
+}
@@ -0,0 +1,64 @@
+// src/userFilters.js
+// Filters for user lists that need more than the storage query: token status and live
+// guild membership/roles. Used by /userlist and the web dashboard.
+
+export const SORT_LABELS = {
+  verified_desc: 'Newest first',
+  verified_asc: 'Oldest first',
+  name_asc: 'Name A–Z',
+  name_desc: 'Name Z–A'
+};
+
+export const TOKEN_STATUSES = {
+  valid: 'Valid',
+  invalid: 'Invalid',
+  unknown: 'Could not check',
+  unchecked: 'Not checked yet',
+  no_refresh: 'No refresh token'
+};
+
+// Token status from the last recorded check (see memberActions.recheckToken)
+export function tokenStatus(user) {
+  if (!user.refresh_token) return 'no_refresh';
+  return user.token_health?.lastCheck?.status || 'unchecked';
+}
+
+// "2024-05-01" -> ISO start of that day (UTC), or of the next day with nextDay (for exclusive upper bounds).
+// Returns undefined for anything else.
+export function parseDay(value, nextDay = false) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return undefined;
+  const d = new Date(`${value}T00:00:00.000Z`);
+  // Rejects impossible dates like 2024-02-30 (Date would roll them over)
+  if (Number.isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== value) return undefined;
+  if (nextDay) d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString();
+}
+
+// True when the filters need guild members to evaluate
+export function needsMembers(filters) {
+  return Boolean(filters.membership || filters.roleId);
+}
+
+// filters: { token, membership: 'in' | 'out', roleId }; members: Map<userId, GuildMember> (when needsMembers)
+export function applyMemberFilters(users, filters, members) {
+  return users.filter((u) => {
+    if (filters.token && tokenStatus(u) !== filters.token) return false;
+    const member = members?.get(u.id);
+    if (filters.membership === 'in' && !member) return false;
+    if (filters.membership === 'out' && member) return false;
+    if (filters.roleId && !member?.roles.cache.has(filters.roleId)) return false;
+    return true;
+  });
+}
+
+// Short human-readable summary, e.g. "name contains "bob" · token: Invalid"
+export function describeFilters(filters) {
+  const parts = [];
+  if (filters.search) parts.push(`name/ID contains "${filters.search}"`);
+  if (filters.after) parts.push(`verified on/after ${filters.after}`);
+  if (filters.before) parts.push(`verified on/before ${filters.before}`);
+  if (filters.token) parts.push(`token: ${TOKEN_STATUSES[filters.token]}`);
+  if (filters.membership) parts.push(filters.membership === 'in' ? 'in this server' : 'not in this server');
+  if (filters.roleName) parts.push(`has role @${filters.roleName}`);
+  return parts.join(' · ');
+}
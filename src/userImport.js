@@ -0,0 +1,97 @@
+// src/userImport.js
+// Parsing, validation and merge planning for uploaded user files.
+import { validateUserRecord } from './userSchema.js';
+
+// Map a JSON.parse error position to "line X, column Y"
+function describeJsonError(text, err) {
+  const pos = Number(/position (\d+)/.exec(err.message)?.[1]);
+  if (Number.isNaN(pos)) return err.message;
+  const before = text.slice(0, pos).split('\n');
+  return `${err.message.replace(/ in JSON at position \d+.*$/, '')} at line ${before.length}, column ${before[before.length - 1].length + 1}`;
+}
+
+// Accepts the users.json shape ({ id: record }) or an array of records.
+// Returns { records, errors } where errors are { ref, message } (ref = object key or array index).
+export function parseUserFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { records: [], errors: [{ ref: 'file', message: `Invalid JSON: ${describeJsonError(text, err)}` }] };
+  }
+
+  let entries;
+  if (Array.isArray(data)) entries = data.map((u, i) => [`[${i}]`, u]);
+  else if (data && typeof data === 'object') entries = Object.entries(data).map(([key, u]) => [key, u && typeof u === 'object' && !u.id ? { ...u, id: key } : u]);
+  else return { records: [], errors: [{ ref: 'file', message: 'Expected an object keyed by user ID or an array of user records' }] };
+
+  const records = [];
+  const errors = [];
+  const seen = new Set();
+  for (const [ref, u] of entries) {
+    const problems = validateUserRecord(u);
+    if (!problems.length && seen.has(u.id)) problems.push(`duplicate id ${u.id}`);
+    if (problems.length) {
+      for (const message of problems) errors.push({ ref, message });
+      continue;
+    }
+    seen.add(u.id);
+    records.push(u);
+  }
+  return { records, errors };
+}
+
+// Records from before per-guild settings have no `guilds`; attribute them to guildId, the same
+// way migrateLegacy tags stored ones (src/guildConfig.js). Returns { records, tagged }.
+export function tagUntagged(records, guildId) {
+  let tagged = 0;
+  const out = records.map((u) => {
+    if (u.guilds) return u;
+    tagged++;
+    return { ...u, guilds: { [guildId]: { verifiedAt: u.verifiedAt || null } } };
+  });
+  return { records: out, tagged };
+}
+
+// A newer incoming record keeps what the bot tracks itself: the verifications (with panel and
+// approval state) in guilds the file doesn't mention, and the token health unless the file has one.
+function mergeRecord(existing, u) {
+  const guilds = { ...existing.guilds };
+  for (const [gid, entry] of Object.entries(u.guilds || {})) guilds[gid] = { ...guilds[gid], ...entry };
+  const merged = { ...u, guilds };
+  if (!u.token_health && existing.token_health) merged.token_health = existing.token_health;
+  return merged;
+}
+
+// mode 'replace': incoming becomes the whole list. mode 'merge': existing users are kept and,
+// where both sides have a user, the record with the newer verifiedAt wins (see mergeRecord).
+// `same(a, b)` decides whether two records are equal (so callers can ignore token encryption).
+// Returns { records, added, changed, removed, unchanged } — counts plus the final list.
+export function planUserImport(current, incoming, mode, same) {
+  const before = new Map(current.map(u => [u.id, u]));
+  const result = new Map(mode === 'merge' ? before : []);
+  let added = 0;
+  let changed = 0;
+  let unchanged = 0;
+
+  for (const u of incoming) {
+    const existing = before.get(u.id);
+    if (!existing) {
+      result.set(u.id, u);
+      added++;
+      continue;
+    }
+    const incomingWins = mode === 'replace' || (u.verifiedAt || '') > (existing.verifiedAt || '');
+    const record = mode === 'merge' ? mergeRecord(existing, u) : u;
+    if (!incomingWins || same(existing, record)) {
+      result.set(u.id, existing);
+      unchanged++;
+      continue;
+    }
+    result.set(u.id, record);
+    changed++;
+  }
+
+  const removed = [...before.keys()].filter(id => !result.has(id)).length;
+  return { records: [...result.values()], added, changed, removed, unchanged };
+}
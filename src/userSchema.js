@@ -0,0 +1,30 @@
+// src/userSchema.js
+// Shape checks for stored user records, shared by backup restores and uploads.
+
+const SNOWFLAKE = /^\d{15,22}$/;
+
+// Returns a list of human-readable problems (empty when the record is valid)
+export function validateUserRecord(u) {
+  const errors = [];
+  if (!u || typeof u !== 'object' || Array.isArray(u)) return ['record is not an object'];
+  if (typeof u.id !== 'string' || !SNOWFLAKE.test(u.id)) errors.push('id must be a Discord user ID string');
+  if (u.username != null && typeof u.username !== 'string') errors.push('username must be a string');
+  if (u.verifiedAt != null && (typeof u.verifiedAt !== 'string' || Number.isNaN(Date.parse(u.verifiedAt)))) {
+    errors.push('verifiedAt must be an ISO date string');
+  }
+  for (const f of ['access_token', 'refresh_token']) {
+    if (u[f] != null && typeof u[f] !== 'string') errors.push(`${f} must be a string or null`);
+  }
+  if (u.guilds != null && (typeof u.guilds !== 'object' || Array.isArray(u.guilds))) errors.push('guilds must be an object');
+  return errors;
+}
+
+// Compare two user lists by ID: { added, removed, changed } (arrays of IDs)
+export function diffUsers(current, incoming) {
+  const before = new Map(current.map(u => [u.id, u]));
+  const after = new Map(incoming.map(u => [u.id, u]));
+  const added = [...after.keys()].filter(id => !before.has(id));
+  const removed = [...before.keys()].filter(id => !after.has(id));
+  const changed = [...after.keys()].filter(id => before.has(id) && JSON.stringify(before.get(id)) !== JSON.stringify(after.get(id)));
+  return { added, removed, changed };
+}
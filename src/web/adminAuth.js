@@ -0,0 +1,172 @@
+// src/web/adminAuth.js
+// Admin login for the web endpoints: scrypt-hashed password, HMAC-signed session cookie,
+// a per-session CSRF token for forms, and per-IP lockout after repeated failed logins.
+import crypto from 'crypto';
+import express from 'express';
+import { escapeHtml } from './html.js';
+
+const COOKIE = 'admin_session';
+const SESSION_TTL = 12 * 60 * 60 * 1000; // 12 hours
+const MAX_FAILURES = 5;
+const FAILURE_WINDOW = 15 * 60 * 1000; // failures counted over 15 minutes
+const LOCKOUT = 15 * 60 * 1000;
+
+// Stored format: scrypt$<N>$<r>$<p>$<salt b64>$<hash b64>
+export function hashPassword(password, { N = 16384, r = 8, p = 1 } = {}) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 32, { N, r, p });
+  return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Only allow redirects back into this site
+function safeNext(next) {
+  return typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') ? next : '/admin';
+}
+
+function loginPage({ next, error }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"/><title>Admin login</title>
+<style>
+  body { font-family: Arial; background: #10151a; color: #eee; display:flex; align-items:center; justify-content:center; height:100vh; margin:0; }
+  form { background:#18222c; padding:30px; border-radius:10px; box-shadow:0 0 15px rgba(0,0,0,0.4); min-width:280px; }
+  input,button { margin-top:10px; padding:8px; width:100%; border-radius:6px; border:none; box-sizing:border-box; }
+  input[type=password] { background:#222d38; color:#fff; }
+  button { background:#00b894; color:#fff; font-weight:bold; cursor:pointer; }
+  .error { color:#ff7675; }
+</style>
+</head>
+<body>
+<form method="POST" action="/login">
+  <h2>🔐 Admin login</h2>
+  ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+  <label>Password:</label>
+  <input type="password" name="password" autofocus required>
+  <input type="hidden" name="next" value="${escapeHtml(next)}">
+  <button type="submit">Log in</button>
+</form>
+</body>
+</html>`;
+}
+
+export function createAdminAuth({ secret, passwordHash, secureCookies }) {
+  // ip -> { count, firstAt, lockedUntil }
+  const failures = new Map();
+  // Own key for sessions, so nothing else signed with the same secret reads as one
+  const key = crypto.createHmac('sha256', secret).update('admin-session').digest();
+
+  function sign(payload) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const mac = crypto.createHmac('sha256', key).update(body).digest('base64url');
+    return `${body}.${mac}`;
+  }
+
+  function readSession(req) {
+    const raw = (req.headers.cookie || '').split(';').map(s => s.trim()).find(s => s.startsWith(`${COOKIE}=`));
+    if (!raw) return null;
+    const [body, mac] = decodeURIComponent(raw.slice(COOKIE.length + 1)).split('.');
+    if (!body || !mac) return null;
+    const expected = crypto.createHmac('sha256', key).update(body).digest();
+    const given = Buffer.from(mac, 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    try {
+      const session = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+      return session.sub === 'admin' && session.exp > Date.now() ? session : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function setCookie(res, value, maxAgeMs) {
+    res.setHeader('Set-Cookie', `${COOKIE}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(maxAgeMs / 1000)}${secureCookies ? '; Secure' : ''}`);
+  }
+
+  function lockedFor(ip) {
+    const f = failures.get(ip);
+    return f?.lockedUntil && f.lockedUntil > Date.now() ? f.lockedUntil - Date.now() : 0;
+  }
+
+  function recordFailure(ip) {
+    const now = Date.now();
+    let f = failures.get(ip);
+    if (!f || now - f.firstAt > FAILURE_WINDOW) f = { count: 0, firstAt: now, lockedUntil: 0 };
+    f.count++;
+    if (f.count >= MAX_FAILURES) f.lockedUntil = now + LOCKOUT;
+    failures.set(ip, f);
+  }
+
+  // Forget stale entries so the map doesn't grow forever
+  setInterval(() => {
+    const now = Date.now();
+    for (const [ip, f] of failures) if (now - f.firstAt > FAILURE_WINDOW && f.lockedUntil < now) failures.delete(ip);
+  }, FAILURE_WINDOW).unref();
+
+  // Attaches req.adminSession; HTML requests go to the login page, API requests get 401
+  function requireAdmin(req, res, next) {
+    const session = readSession(req);
+    if (session) {
+      req.adminSession = session;
+      return next();
+    }
+    if (req.accepts(['html', 'json']) === 'json') return res.status(401).json({ error: 'Login required' });
+    res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+
+  // For state-changing requests: the session's CSRF token in a `_csrf` field or X-CSRF-Token header.
+  // Mount after body parsing (and after multer for multipart forms).
+  function verifyCsrf(req, res, next) {
+    const given = Buffer.from(String(req.body?._csrf || req.get('x-csrf-token') || ''));
+    const expected = Buffer.from(String(req.adminSession?.csrf || ''));
+    if (!expected.length || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(403).send('❌ Invalid or missing CSRF token. Reload the page and try again.');
+    }
+    next();
+  }
+
+  // Hidden form field carrying the CSRF token
+  function csrfField(req) {
+    return `<input type="hidden" name="_csrf" value="${escapeHtml(req.adminSession?.csrf)}">`;
+  }
+
+  // Expects the app to parse urlencoded bodies before this router
+  const router = express.Router();
+
+  router.get('/login', (req, res) => {
+    if (readSession(req)) return res.redirect(safeNext(req.query.next));
+    res.send(loginPage({ next: safeNext(req.query.next) }));
+  });
+
+  router.post('/login', (req, res) => {
+    const ip = req.ip;
+    const next = safeNext(req.body.next);
+    const wait = lockedFor(ip);
+    if (wait) {
+      return res.status(429).send(loginPage({ next, error: `Too many failed attempts. Try again in ${Math.ceil(wait / 60000)} minutes.` }));
+    }
+    if (!passwordHash || !verifyPassword(req.body.password || '', passwordHash)) {
+      recordFailure(ip);
+      console.warn(`🔐 Failed admin login from ${ip}`);
+      return res.status(401).send(loginPage({ next, error: 'Wrong password.' }));
+    }
+    failures.delete(ip);
+    const session = { sub: 'admin', csrf: crypto.randomBytes(18).toString('base64url'), exp: Date.now() + SESSION_TTL };
+    setCookie(res, sign(session), SESSION_TTL);
+    console.log(`🔐 Admin logged in from ${ip}`);
+    res.redirect(next);
+  });
+
+  router.post('/logout', requireAdmin, verifyCsrf, (req, res) => {
+    setCookie(res, '', 0);
+    res.redirect('/login');
+  });
+
+  return { router, requireAdmin, verifyCsrf, csrfField };
+}
@@ -0,0 +1,384 @@
+// src/web/dashboard.js
+// Admin dashboard under /admin: member table, per-user detail pages with bulk actions,
+// and a per-guild settings editor. Reads and writes go through the same storage,
+// guildConfig and memberActions the slash commands use.
+import express from 'express';
+import { ChannelType, SnowflakeUtil } from 'discord.js';
+import { SORT_ORDERS } from '../storage/index.js';
+import { LOG_EVENTS } from '../auditLog.js';
+import { keyIdOf } from '../tokenCrypto.js';
+import { parseDay, tokenStatus, applyMemberFilters, SORT_LABELS, TOKEN_STATUSES } from '../userFilters.js';
+import { EXPORT_FIELDS, EXPORT_FORMATS, DEFAULT_EXPORT_FIELDS, parseExportFields, needsGuildMembers, renderExport } from '../userExport.js';
+import { normalizeRule, STATUS_ACTIVITIES } from '../statusRoles.js';
+import { escapeHtml, renderAdminPage } from './html.js';
+
+const PAGE_SIZE = 50;
+const SNOWFLAKE = /^\d{15,22}$/;
+const BULK_ACTIONS = ['remove', 'recheck', 'reassign'];
+
+function formatDate(iso) {
+  return iso ? escapeHtml(iso.replace('T', ' ').replace(/\.\d+Z$/, ' UTC')) : '—';
+}
+
+function tokenBadge(user) {
+  const status = tokenStatus(user);
+  const cls = { valid: 'ok', invalid: 'bad', no_refresh: 'bad', unknown: 'warn' }[status] || 'muted';
+  return `<span class="${cls}" title="${escapeHtml(user.token_health?.lastCheck?.error || '')}">${TOKEN_STATUSES[status]}</span>`;
+}
+
+// Member-table filters from the query string (invalid values are dropped)
+function readFilters(query) {
+  return {
+    q: String(query.q || '').trim(),
+    after: String(query.after || ''),
+    before: String(query.before || ''),
+    guild: SNOWFLAKE.test(query.guild || '') ? query.guild : '',
+    token: TOKEN_STATUSES[query.token] ? query.token : '',
+    sort: SORT_ORDERS.includes(query.sort) ? query.sort : 'verified_desc'
+  };
+}
+
+// Form values arrive as a string for one checkbox and an array for several
+function asList(value) {
+  if (value == null) return [];
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+// Only redirect back into the dashboard
+function safeBack(value, fallback) {
+  return typeof value === 'string' && value.startsWith('/admin/') ? value : fallback;
+}
+
+export function createDashboard({ storage, guildConfig, memberActions, client, auth }) {
+  const { requireAdmin, verifyCsrf, csrfField } = auth;
+  const router = express.Router();
+
+  function guildName(guildId) {
+    return client.guilds.cache.get(guildId)?.name || guildId;
+  }
+
+  // Guilds the dashboard can show: configured ones plus any the bot is in
+  function knownGuildIds() {
+    return [...new Set([...guildConfig.listGuildIds(), ...client.guilds.cache.keys()])];
+  }
+
+  function page(req, title, body) {
+    return renderAdminPage(title, body, csrfField(req));
+  }
+
+  // Live role state for one guild: { label, cls }
+  async function roleStatus(guildId, userId) {
+    const { verified_role } = guildConfig.get(guildId);
+    const guild = client.guilds.cache.get(guildId);
+    if (!guild) return { label: 'Bot is not in this guild', cls: 'muted' };
+    const member = await guild.members.fetch(userId).catch(() => null);
+    if (!member) return { label: 'Not a member', cls: 'warn' };
+    if (!verified_role) return { label: 'Member (no verified role configured)', cls: 'muted' };
+    return member.roles.cache.has(verified_role)
+      ? { label: 'Has verified role', cls: 'ok' }
+      : { label: 'Member without verified role', cls: 'bad' };
+  }
+
+  // Users matching the member-table filters -> { total, users }
+  function findUsers(filters, { limit, offset = 0 } = {}) {
+    const query = {
+      search: filters.q || undefined,
+      verifiedAfter: parseDay(filters.after),
+      verifiedBefore: parseDay(filters.before, true),
+      guildId: filters.guild || undefined,
+      sort: filters.sort
+    };
+    if (!filters.token) return storage.queryUsers({ ...query, limit, offset });
+    // Token status isn't a storage column, so that filter pages in memory
+    const matched = applyMemberFilters(storage.queryUsers(query).users, { token: filters.token });
+    return { total: matched.length, users: limit ? matched.slice(offset, offset + limit) : matched.slice(offset) };
+  }
+
+  router.get('/', requireAdmin, (req, res) => res.redirect('/admin/users'));
+
+  // Member table
+  router.get('/users', requireAdmin, (req, res) => {
+    const filters = readFilters(req.query);
+    const { q, after, before, guild, token, sort } = filters;
+    const requestedPage = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+    const fetchPage = (p) => findUsers(filters, { limit: PAGE_SIZE, offset: (p - 1) * PAGE_SIZE });
+    let { total, users } = fetchPage(requestedPage);
+    const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+    const current = Math.min(requestedPage, pages);
+    if (current !== requestedPage) ({ users } = fetchPage(current));
+
+    const params = (p) => new URLSearchParams({ q, after, before, guild, token, sort, page: String(p) }).toString();
+    const selfUrl = `/admin/users?${params(current)}`;
+
+    const rows = users.map(u => `
+      <tr>
+        <td><input type="checkbox" name="ids" value="${escapeHtml(u.id)}"></td>
+        <td><a href="/admin/users/${escapeHtml(u.id)}">${escapeHtml(u.username || 'UnknownUser')}</a></td>
+        <td><code>${escapeHtml(u.id)}</code></td>
+        <td>${formatDate(u.verifiedAt)}</td>
+        <td>${Object.keys(u.guilds || {}).map(g => escapeHtml(guildName(g))).join('<br>') || '—'}</td>
+        <td>${tokenBadge(u)}</td>
+      </tr>`).join('');
+
+    const guildOptions = knownGuildIds().map(id => `<option value="${id}"${id === guild ? ' selected' : ''}>${escapeHtml(guildName(id))}</option>`).join('');
+    const tokenOptions = Object.entries(TOKEN_STATUSES).map(([t, label]) => `<option value="${t}"${t === token ? ' selected' : ''}>${label}</option>`).join('');
+    const sortOptions = SORT_ORDERS.map(s => `<option value="${s}"${s === sort ? ' selected' : ''}>${SORT_LABELS[s]}</option>`).join('');
+
+    res.send(page(req, 'Members', `
+<form method="GET" action="/admin/users" class="filters">
+  <label>Name or ID<input type="text" name="q" value="${escapeHtml(q)}"></label>
+  <label>Verified after<input type="date" name="after" value="${escapeHtml(after)}"></label>
+  <label>Verified before<input type="date" name="before" value="${escapeHtml(before)}"></label>
+  <label>Guild<select name="guild"><option value="">All guilds</option>${guildOptions}</select></label>
+  <label>Token<select name="token"><option value="">Any</option>${tokenOptions}</select></label>
+  <label>Sort<select name="sort">${sortOptions}</select></label>
+  <button type="submit" class="inline">Filter</button>
+</form>
+<form method="POST" action="/admin/users/bulk">
+  ${csrfField(req)}
+  <input type="hidden" name="back" value="${escapeHtml(selfUrl)}">
+  <h2>👥 ${total} member(s)</h2>
+  <table>
+    <tr><th><input type="checkbox" onclick="document.querySelectorAll('input[name=ids]').forEach(c => { c.checked = this.checked; })"></th><th>User</th><th>ID</th><th>Verified</th><th>Guilds</th><th>Token</th></tr>
+    ${rows || '<tr><td colspan="6" class="muted">No members match these filters.</td></tr>'}
+  </table>
+  <p>
+    ${current > 1 ? `<a href="/admin/users?${params(current - 1)}">⬅️ Previous</a>` : ''}
+    <span class="muted">Page ${current}/${pages}</span>
+    ${current < pages ? `<a href="/admin/users?${params(current + 1)}">Next ➡️</a>` : ''}
+  </p>
+  <p class="muted">With selected:</p>
+  <button type="submit" name="action" value="recheck" class="inline">Re-check tokens</button>
+  <button type="submit" name="action" value="reassign" class="inline">Re-assign verified role</button>
+  <button type="submit" name="action" value="remove" class="inline danger" onclick="return confirm('Remove the selected users? They can be restored with /undo.')">Remove</button>
+</form>
+<form method="GET" action="/admin/export">
+  <h3>📤 Export these ${total} member(s)</h3>
+  ${['q', 'after', 'before', 'guild', 'token', 'sort'].map(k => `<input type="hidden" name="${k}" value="${escapeHtml(filters[k])}">`).join('')}
+  ${Object.entries(EXPORT_FIELDS).filter(([f]) => f !== 'ip').map(([f, { label }]) => `<label><input type="checkbox" name="fields" value="${f}"${DEFAULT_EXPORT_FIELDS.includes(f) ? ' checked' : ''}>${escapeHtml(label)}</label>`).join(' ')}
+  <p class="muted">"In this server" and "Roles" need a guild picked in the filters above.</p>
+  <label><input type="checkbox" name="include_ip" value="1">Include IP addresses (redacted otherwise)</label><br>
+  <button type="submit" name="format" value="csv" class="inline">Download CSV</button>
+  <button type="submit" name="format" value="json" class="inline">Download JSON</button>
+</form>`));
+  });
+
+  // Download the filtered member list. Same filters as /admin/users; tokens are never included.
+  router.get('/export', requireAdmin, async (req, res) => {
+    const filters = readFilters(req.query);
+    const format = EXPORT_FORMATS.includes(req.query.format) ? req.query.format : 'csv';
+    const includeIp = req.query.include_ip === '1';
+    const { fields, error } = parseExportFields([...asList(req.query.fields), ...(includeIp ? ['ip'] : [])].join(','));
+    const guild = filters.guild ? client.guilds.cache.get(filters.guild) : null;
+    if (error || (needsGuildMembers(fields) && !guild)) {
+      return res.status(400).send(page(req, 'Export failed', `<div class="card"><h2>❌ ${escapeHtml(error || 'Pick a guild the bot is in to export membership or roles.')}</h2><a href="/admin/users">Back</a></div>`));
+    }
+
+    try {
+      const { users } = findUsers(filters);
+      const members = needsGuildMembers(fields) ? await guild.members.fetch() : null;
+      const body = renderExport(users, { format, fields, context: { guild, members, includeIp } });
+      console.log(`📤 Dashboard export: ${users.length} users as ${format} (${fields.join(', ')}${includeIp ? ', with IPs' : ''})`);
+      res.setHeader('Content-Type', format === 'json' ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="verified-users-${new Date().toISOString().slice(0, 10)}.${format}"`);
+      res.send(body);
+    } catch (err) {
+      console.error('Dashboard export error:', err);
+      res.status(500).send(page(req, 'Export failed', `<div class="card"><h2>❌ ${escapeHtml(err.message)}</h2><a href="/admin/users">Back</a></div>`));
+    }
+  });
+
+  // Bulk actions (also used by the buttons on the detail page)
+  router.post('/users/bulk', requireAdmin, verifyCsrf, async (req, res) => {
+    const ids = [...new Set(asList(req.body.ids))].filter(id => SNOWFLAKE.test(id));
+    const action = req.body.action;
+    const back = safeBack(req.body.back, '/admin/users');
+    if (!BULK_ACTIONS.includes(action) || !ids.length) {
+      return res.status(400).send(page(req, 'Nothing to do', `<div class="card"><h2>❌ Select at least one user and an action.</h2><a href="${escapeHtml(back)}">Back</a></div>`));
+    }
+
+    try {
+      let summary;
+      if (action === 'remove') {
+        const batch = await memberActions.removeUsers(ids, { reason: 'Removed from the web dashboard', by: null });
+        console.log(`🗑️ Dashboard removed ${batch.users.length} users (batch ${batch.batchId})`);
+        summary = `<p>Removed ${batch.users.length} user(s). Undo with <code>/undo batch:${escapeHtml(batch.batchId)}</code>.</p>`;
+      } else if (action === 'recheck') {
+        const counts = { valid: 0, invalid: 0, unknown: 0 };
+        const invalid = [];
+        for (const id of ids) {
+          const result = await memberActions.recheckToken(id);
+          if (!result) continue;
+          counts[result.status]++;
+          if (result.status === 'invalid') invalid.push(id);
+        }
+        summary = `<p>✅ Valid: ${counts.valid} · ❌ Invalid: ${counts.invalid} · ❔ Could not check: ${counts.unknown}</p>
+          ${invalid.length ? `<p>Invalid: ${invalid.map(id => `<a href="/admin/users/${id}"><code>${id}</code></a>`).join(', ')}</p>` : ''}`;
+      } else {
+        const counts = {};
+        for (const id of ids) {
+          const user = storage.getUser(id);
+          for (const guildId of Object.keys(user?.guilds || {})) {
+            const { status } = await memberActions.assignVerifiedRole(guildId, id);
+            counts[status] = (counts[status] || 0) + 1;
+          }
+        }
+        const rows = Object.entries(counts).map(([status, n]) => `<tr><td>${escapeHtml(status)}</td><td>${n}</td></tr>`).join('');
+        summary = `<table><tr><th>Result</th><th>Guild memberships</th></tr>${rows || '<tr><td colspan="2" class="muted">No guilds recorded for these users.</td></tr>'}</table>`;
+      }
+      res.send(page(req, 'Bulk action', `<div class="card"><h2>${escapeHtml(action)}: ${ids.length} user(s)</h2>${summary}<a href="${escapeHtml(back)}">Back</a></div>`));
+    } catch (err) {
+      console.error('Dashboard bulk action error:', err);
+      res.status(500).send(page(req, 'Error', `<div class="card"><h2>❌ ${escapeHtml(err.message)}</h2><a href="${escapeHtml(back)}">Back</a></div>`));
+    }
+  });
+
+  // Per-user detail: profile, verification history, live role status, token health
+  router.get('/users/:id', requireAdmin, async (req, res) => {
+    const id = req.params.id;
+    if (!SNOWFLAKE.test(id)) return res.status(404).send(page(req, 'Not found', '<div class="card"><h2>❌ Not a user ID</h2></div>'));
+    const user = storage.getUser(id);
+    const trash = storage.listTrash({ userId: id });
+    if (!user && !trash.length) {
+      return res.status(404).send(page(req, 'Not found', `<div class="card"><h2>❌ No record for <code>${id}</code></h2><a href="/admin/users">Back</a></div>`));
+    }
+
+    const history = Object.entries(user?.guilds || {})
+      .map(([guildId, g]) => ({ at: g.verifiedAt, text: `Verified in <b>${escapeHtml(guildName(guildId))}</b>${g.panelId ? ` <span class="muted">(panel ${escapeHtml(g.panelId)})</span>` : ''}` }))
+      .concat(trash.map(t => ({ at: t.deletedAt, text: `Removed: ${escapeHtml(t.reason || 'no reason')}${t.by ? ` by <code>${escapeHtml(t.by)}</code>` : ''} <span class="muted">(batch ${escapeHtml(t.batchId)})</span>` })))
+      .sort((a, b) => (b.at || '').localeCompare(a.at || ''))
+      .map(h => `<tr><td>${formatDate(h.at)}</td><td>${h.text}</td></tr>`).join('');
+
+    let roles = '';
+    let tokens = '';
+    let actions = '';
+    if (user) {
+      const statuses = await Promise.all(Object.keys(user.guilds || {}).map(async g => [g, await roleStatus(g, id)]));
+      roles = statuses.map(([g, s]) => `<tr><td>${escapeHtml(guildName(g))}</td><td class="${s.cls}">${escapeHtml(s.label)}</td></tr>`).join('');
+
+      const check = user.token_health?.lastCheck;
+      const describe = (value) => (value ? (keyIdOf(value) ? `stored, encrypted with key <code>${escapeHtml(keyIdOf(value))}</code>` : '<span class="warn">stored unencrypted</span>') : '<span class="bad">missing</span>');
+      tokens = `
+        <tr><td>Access token</td><td>${describe(user.access_token)}</td></tr>
+        <tr><td>Refresh token</td><td>${describe(user.refresh_token)}</td></tr>
+        <tr><td>Last refreshed</td><td>${user.token_health?.lastRefreshed ? formatDate(user.token_health.lastRefreshed) : '<span class="muted">never</span>'}</td></tr>
+        <tr><td>Access token expires</td><td>${user.token_health?.expires_at ? formatDate(user.token_health.expires_at) : '<span class="muted">unknown</span>'}</td></tr>
+        <tr><td>Refresh failures</td><td>${user.token_health?.consecutiveFailures ? `<span class="warn">${user.token_health.consecutiveFailures} in a row</span> <span class="muted">${escapeHtml(user.token_health.lastError?.error || '')}</span>` : '0'}</td></tr>
+        <tr><td>Last check</td><td>${check ? `${tokenBadge(user)} ${formatDate(check.at)}${check.error ? ` <span class="muted">${escapeHtml(check.error)}</span>` : ''}` : '<span class="muted">never</span>'}</td></tr>`;
+
+      actions = `
+<form method="POST" action="/admin/users/bulk">
+  ${csrfField(req)}
+  <input type="hidden" name="ids" value="${id}">
+  <input type="hidden" name="back" value="/admin/users/${id}">
+  <button type="submit" name="action" value="recheck" class="inline">Re-check token</button>
+  <button type="submit" name="action" value="reassign" class="inline">Re-assign verified role</button>
+  <button type="submit" name="action" value="remove" class="inline danger" onclick="return confirm('Remove this user? They can be restored with /undo.')">Remove</button>
+</form>`;
+    }
+
+    const createdAt = new Date(SnowflakeUtil.timestampFrom(id)).toISOString();
+    res.send(page(req, user?.username || id, `
+<div class="card">
+  <h2>${escapeHtml(user?.username || 'Removed user')} <code>${id}</code></h2>
+  ${user ? '' : '<p class="warn">This user is not currently verified; see the history below (restore with /restoreuser).</p>'}
+  <table>
+    <tr><td>Account created</td><td>${formatDate(createdAt)}</td></tr>
+    <tr><td>Last verified</td><td>${formatDate(user?.verifiedAt)}</td></tr>
+    <tr><td>IP</td><td>${escapeHtml(user?.ip || '—')}</td></tr>
+  </table>
+</div>
+<div class="card"><h3>Verification history</h3><table>${history || '<tr><td class="muted">No history.</td></tr>'}</table></div>
+${user ? `<div class="card"><h3>Role status</h3><table>${roles || '<tr><td class="muted">Not verified in any guild.</td></tr>'}</table></div>` : ''}
+${user ? `<div class="card"><h3>Token health</h3><table>${tokens}</table></div>` : ''}
+${actions}
+<p><a href="/admin/users">⬅️ All members</a></p>`));
+  });
+
+  // Settings editor for one guild (the values /config and /logevents manage)
+  router.get('/settings', requireAdmin, (req, res) => {
+    const guildIds = knownGuildIds();
+    const guildId = guildIds.includes(req.query.guild) ? req.query.guild : guildIds[0];
+    if (!guildId) return res.send(page(req, 'Settings', '<div class="card"><h2>No guilds yet</h2><p>Invite the bot to a server first.</p></div>'));
+    res.send(page(req, 'Settings', settingsForm(req, guildId, guildIds, { saved: req.query.saved === '1' })));
+  });
+
+  router.post('/settings/:guildId', requireAdmin, verifyCsrf, (req, res) => {
+    const guildId = req.params.guildId;
+    const guildIds = knownGuildIds();
+    if (!guildIds.includes(guildId)) return res.status(404).send(page(req, 'Not found', '<div class="card"><h2>❌ Unknown guild</h2></div>'));
+
+    const errors = [];
+    const idField = (name, label) => {
+      const value = String(req.body[name] || '').trim();
+      if (value && !SNOWFLAKE.test(value)) errors.push(`${label} must be an ID`);
+      return value || null;
+    };
+    const verified_role = idField('verified_role', 'Verified role');
+    const log_channel = idField('log_channel', 'Log channel');
+    const panel_title = String(req.body.panel_title || '').trim();
+    const panel_description = String(req.body.panel_description || '').trim();
+    if (!panel_title || panel_title.length > 256) errors.push('Panel title must be 1–256 characters');
+    if (!panel_description || panel_description.length > 4096) errors.push('Panel description must be 1–4096 characters');
+    const log_events = asList(req.body.log_events).filter(t => LOG_EVENTS[t]);
+
+    if (errors.length) {
+      return res.status(422).send(page(req, 'Settings', settingsForm(req, guildId, guildIds, { errors, values: req.body })));
+    }
+    guildConfig.update(guildId, s => ({ ...s, verified_role, log_channel, panel_title, panel_description, log_events }));
+    console.log(`⚙️ Settings for guild ${guildId} updated from the web dashboard`);
+    res.redirect(`/admin/settings?guild=${guildId}&saved=1`);
+  });
+
+  function settingsForm(req, guildId, guildIds, { saved, errors = [], values } = {}) {
+    const settings = { ...guildConfig.get(guildId), ...(values || {}) };
+    const enabled = values ? asList(values.log_events) : (Array.isArray(settings.log_events) ? settings.log_events : Object.keys(LOG_EVENTS));
+    const guild = client.guilds.cache.get(guildId);
+
+    // Pick lists when the bot can see the guild, plain ID inputs otherwise
+    const select = (name, current, items) => `<select name="${name}"><option value="">— none —</option>${items
+      .map(([id, label]) => `<option value="${id}"${id === current ? ' selected' : ''}>${escapeHtml(label)}</option>`).join('')}</select>`;
+    const roleInput = guild
+      ? select('verified_role', settings.verified_role, [...guild.roles.cache.values()].filter(r => r.id !== guild.id && !r.managed).sort((a, b) => b.position - a.position).map(r => [r.id, r.name]))
+      : `<input type="text" name="verified_role" value="${escapeHtml(settings.verified_role || '')}">`;
+    const channelInput = guild
+      ? select('log_channel', settings.log_channel, [...guild.channels.cache.values()].filter(c => [ChannelType.GuildText, ChannelType.GuildAnnouncement].includes(c.type)).map(c => [c.id, `#${c.name}`]))
+      : `<input type="text" name="log_channel" value="${escapeHtml(settings.log_channel || '')}">`;
+
+    const guildLinks = guildIds.map(id => (id === guildId ? `<b>${escapeHtml(guildName(id))}</b>` : `<a href="/admin/settings?guild=${id}">${escapeHtml(guildName(id))}</a>`)).join(' · ');
+    const eventBoxes = Object.entries(LOG_EVENTS)
+      .map(([type, { label }]) => `<label><input type="checkbox" name="log_events" value="${type}"${enabled.includes(type) ? ' checked' : ''}>${escapeHtml(label)}</label><br>`).join('');
+    const statusRoles = (guildConfig.get(guildId).status_roles || []).map(normalizeRule)
+      .map(r => `<tr><td><code>${escapeHtml(r.id)}</code></td><td>${escapeHtml(STATUS_ACTIVITIES[r.activity])} ${escapeHtml(r.match_type)} <code>${escapeHtml(r.match)}</code></td><td>${escapeHtml(guild?.roles.cache.get(r.role)?.name || r.role)}</td><td>${r.grace_minutes ? `${r.grace_minutes}m grace` : ''}</td></tr>`).join('');
+    const panels = (guildConfig.get(guildId).panels || [])
+      .map(p => `<tr><td><code>${escapeHtml(p.id)}</code></td><td>${escapeHtml(p.title)}</td><td>#${escapeHtml(guild?.channels.cache.get(p.channelId)?.name || p.channelId)}</td><td>${p.role ? escapeHtml(guild?.roles.cache.get(p.role)?.name || p.role) : ''}</td><td>${p.verifications || 0} verifications</td></tr>`).join('');
+    const grants = Object.entries(guildConfig.get(guildId).permissions || {})
+      .map(([target, g]) => `<tr><td>${escapeHtml(target)}</td><td>${[...g.roles.map(r => `role ${escapeHtml(guild?.roles.cache.get(r)?.name || r)}`), ...g.users.map(u => `user <code>${escapeHtml(u)}</code>`)].join(', ')}</td></tr>`).join('');
+
+    return `
+<p>${guildLinks}</p>
+<form method="POST" action="/admin/settings/${guildId}">
+  ${csrfField(req)}
+  <h2>⚙️ ${escapeHtml(guildName(guildId))}</h2>
+  ${saved ? '<p class="ok">✅ Saved.</p>' : ''}
+  ${errors.length ? `<ul class="errors">${errors.map(e => `<li>${escapeHtml(e)}</li>`).join('')}</ul>` : ''}
+  <label>Verified role</label>${roleInput}
+  <label>Log channel</label>${channelInput}
+  <label>Default panel title</label><input type="text" name="panel_title" maxlength="256" value="${escapeHtml(settings.panel_title)}">
+  <label>Default panel description</label><textarea name="panel_description" maxlength="4096">${escapeHtml(settings.panel_description)}</textarea>
+  <p>Log events</p>${eventBoxes}
+  <button type="submit">Save</button>
+</form>
+<div class="card">
+  <h3>Verification panels</h3><p class="muted">Managed with /panel.</p>
+  <table>${panels || '<tr><td class="muted">None.</td></tr>'}</table>
+  <h3>Status roles</h3><p class="muted">Managed with /statusroles.</p>
+  <table>${statusRoles || '<tr><td class="muted">None.</td></tr>'}</table>
+  <h3>Command permissions</h3><p class="muted">Managed with /permissions.</p>
+  <table>${grants || '<tr><td class="muted">No grants.</td></tr>'}</table>
+</div>`;
+  }
+
+  return { router };
+}
@@ -0,0 +1,49 @@
+// src/web/html.js
+// Small helpers shared by the server-rendered pages.
+
+// Escape user-controlled text for HTML pages
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+const ADMIN_STYLE = `
+  body { font-family: Arial; background: #10151a; color: #eee; margin:0; }
+  nav { background:#18222c; padding:10px 20px; display:flex; gap:18px; align-items:center; }
+  nav .spacer { flex:1; }
+  nav form { margin:0; padding:0; background:none; box-shadow:none; }
+  nav button { width:auto; margin:0; background:#2c3a47; }
+  main { max-width:1100px; margin:30px auto; padding:0 20px; }
+  form, .card { background:#18222c; padding:30px; border-radius:10px; box-shadow:0 0 15px rgba(0,0,0,0.4); margin-bottom:20px; }
+  input,button,select,textarea { margin-top:10px; padding:8px; border-radius:6px; border:none; box-sizing:border-box; }
+  input[type=text], input[type=date], input[type=password], input[type=file], select, textarea { background:#222d38; color:#fff; width:100%; }
+  input[type=radio], input[type=checkbox] { width:auto; margin-right:8px; }
+  textarea { min-height:80px; font-family:inherit; }
+  button { background:#00b894; color:#fff; font-weight:bold; cursor:pointer; width:100%; }
+  button:hover { background:#00e676; }
+  button.inline { width:auto; margin-right:8px; }
+  button.danger { background:#d63031; }
+  table { border-collapse: collapse; width:100%; margin:12px 0; }
+  td, th { border-bottom:1px solid #2c3a47; padding:6px 10px; text-align:left; vertical-align:top; }
+  .filters { display:grid; grid-template-columns: 2fr 1fr 1fr 1fr 1fr 1fr auto; gap:10px; align-items:end; }
+  .muted { color:#8395a7; font-size:.85rem; }
+  .ok { color:#00b894; } .bad { color:#ff7675; } .warn { color:#fdcb6e; }
+  ul.errors { max-height:50vh; overflow:auto; font-family:monospace; font-size:.85rem; color:#ff7675; }
+  a { color:#00b894; }
+`;
+
+// Layout for admin pages. Pass the CSRF hidden field to show the nav bar with a logout button.
+export function renderAdminPage(title, body, csrfField) {
+  const nav = csrfField ? `
+<nav>
+  <a href="/admin/users">Members</a>
+  <a href="/admin/settings">Settings</a>
+  <a href="/upload">Upload</a>
+  <span class="spacer"></span>
+  <form method="POST" action="/logout">${csrfField}<button type="submit">Log out</button></form>
+</nav>` : '';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"/><meta name="viewport" content="width=device-width,initial-scale=1"/><title>${escapeHtml(title)}</title><style>${ADMIN_STYLE}</style></head>
+<body>${nav}<main>${body}</main></body>
+</html>`;
+}
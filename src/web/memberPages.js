@@ -0,0 +1,114 @@
+// src/web/memberPages.js
+// Pages members see in the browser: the verification result, its error pages and /unverify.
+// A theme is { name, logo, color, returnUrl } (see the guild's `branding` setting); the texts come
+// from pageStrings.js in the member's language. Everything interpolated here is escaped.
+import { escapeHtml } from './html.js';
+import { t, tHtml, DEFAULT_LOCALE } from './pageStrings.js';
+
+export const DEFAULT_THEME = { name: null, logo: null, color: '#00b894', returnUrl: 'https://discord.com/app' };
+
+// Error page kind -> HTTP status. Texts are error_<kind>_title / error_<kind> in pageStrings.js.
+export const ERROR_PAGES = {
+  denied: 400,
+  code_expired: 400,
+  missing_code: 400,
+  invalid_link: 400,
+  state_missing: 403,
+  state_invalid: 403,
+  state_expired: 403,
+  state_mismatch: 403,
+  state_replayed: 403,
+  gate: 403,
+  approval_unavailable: 503,
+  server: 500
+};
+
+// Errors a member gets past by starting over from the panel
+const RETRY_HINT = new Set(['denied', 'code_expired', 'missing_code', 'invalid_link', 'state_missing', 'state_invalid', 'state_expired', 'state_mismatch', 'state_replayed']);
+
+function safeColor(color) {
+  return /^#[0-9a-f]{6}$/i.test(color || '') ? color : DEFAULT_THEME.color;
+}
+
+// tone: ok (accent heading) | error (red heading) | neutral
+export function renderMemberPage({ locale = DEFAULT_LOCALE, theme = DEFAULT_THEME, title, tone = 'neutral', body }) {
+  const color = safeColor(theme.color);
+  const logo = theme.logo ? `<img class="logo" src="${escapeHtml(theme.logo)}" alt="${escapeHtml(theme.name || '')}"/>` : '';
+  const returnLabel = theme.name ? t(locale, 'return_to_guild', { guild: theme.name }) : t(locale, 'return_to_discord');
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+<meta charset="utf-8"/>
+<meta name="viewport" content="width=device-width,initial-scale=1"/>
+<title>${escapeHtml(title)}</title>
+<style>
+  :root { --accent:${color}; }
+  html,body { height:100%; margin:0; font-family:Segoe UI,Roboto,Helvetica,Arial,sans-serif; background:radial-gradient(circle at top,#0f2027,#203a43,#2c5364); color:#fff; }
+  .card { margin:6vh auto; padding:30px; border-radius:14px; background:rgba(255,255,255,0.04); max-width:420px; text-align:center; backdrop-filter:blur(10px); box-shadow:0 10px 30px rgba(0,0,0,0.5); }
+  img.logo { max-width:160px; max-height:64px; margin-bottom:14px; }
+  img.avatar { width:110px; height:110px; border-radius:50%; border:3px solid var(--accent); object-fit:cover; margin-bottom:16px; }
+  h1 { margin:0 0 10px; font-size:1.6rem; }
+  h1.ok { color:var(--accent); } h1.error { color:#ff7675; }
+  p { margin:6px 0; color:#e6f2ef; }
+  .username { color:var(--accent); font-weight:700; }
+  .btn { display:inline-block; margin-top:18px; padding:12px 22px; border-radius:10px; color:#fff; text-decoration:none; font-weight:700; background:var(--accent); transition:transform .18s ease; }
+  .btn:hover { transform:scale(1.03); }
+  button { margin-top:18px; padding:12px 22px; border-radius:10px; border:none; color:#fff; font-weight:700; background:#d63031; cursor:pointer; }
+  .muted { font-size:.85rem; color:#cde8df; margin-top:8px; }
+  .muted a { color:#cde8df; }
+</style>
+</head>
+<body>
+  <div class="card">
+    ${logo}
+    <h1 class="${tone}">${escapeHtml(title)}</h1>
+    ${body}
+    <a class="btn" href="${escapeHtml(theme.returnUrl || DEFAULT_THEME.returnUrl)}">${escapeHtml(returnLabel)}</a>
+  </div>
+</body>
+</html>`;
+}
+
+// user: { id, avatar, name }; withdrawUrl: signed /unverify link
+export function renderSuccessPage({ locale, theme, user, withdrawUrl }) {
+  const avatar = user.avatar
+    ? `https://cdn.discordapp.com/avatars/${encodeURIComponent(user.id)}/${encodeURIComponent(user.avatar)}.png`
+    : 'https://cdn.discordapp.com/embed/avatars/0.png';
+  return renderMemberPage({
+    locale,
+    theme,
+    title: `✅ ${t(locale, 'success_title')}`,
+    tone: 'ok',
+    body: `
+    <img class="avatar" src="${escapeHtml(avatar)}" onerror="this.src='https://cdn.discordapp.com/embed/avatars/0.png'"/>
+    <p>${tHtml(locale, 'success_welcome', { name: `<span class="username">${escapeHtml(user.name)}</span>` })}</p>
+    <p class="muted">${tHtml(locale, 'success_note')}</p>
+    <p class="muted">${tHtml(locale, 'withdraw_prompt')} <a href="${escapeHtml(withdrawUrl)}">${tHtml(locale, 'withdraw_link')}</a>. ${tHtml(locale, 'withdraw_hint')}</p>`
+  });
+}
+
+export function renderPendingPage({ locale, theme, name }) {
+  return renderMemberPage({
+    locale,
+    theme,
+    title: `⏳ ${t(locale, 'pending_title')}`,
+    body: `<p>${tHtml(locale, 'pending_body', { name: `<strong>${escapeHtml(name)}</strong>` })}</p>`
+  });
+}
+
+// Returns { status, html }. For kind "gate", gate and params say which requirement failed
+// (see evaluateGates in src/gates.js).
+export function renderErrorPage(kind, { locale, theme, gate, params } = {}) {
+  const message = kind === 'gate' ? t(locale, `gate_${gate}`, params) : t(locale, `error_${kind}`);
+  const hint = RETRY_HINT.has(kind) ? `<p class="muted">${tHtml(locale, 'retry_hint')}</p>` : '';
+  return {
+    status: ERROR_PAGES[kind] || 500,
+    html: renderMemberPage({
+      locale,
+      theme,
+      title: `❌ ${t(locale, `error_${kind}_title`)}`,
+      tone: 'error',
+      body: `<p>${escapeHtml(message)}</p>${hint}`
+    })
+  };
+}
@@ -0,0 +1,246 @@
+// src/web/pageStrings.js
+// Texts of the pages members see after verifying, per language. Keys missing in a language fall
+// back to English. {name}-style placeholders are filled by t() / tHtml().
+import { escapeHtml } from './html.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+const STRINGS = {
+  en: {
+    success_title: 'Verified successfully!',
+    success_welcome: 'Welcome, {name}',
+    success_note: 'Your Discord account has been verified.',
+    return_to_guild: 'Return to {guild}',
+    return_to_discord: 'Return to Discord',
+    withdraw_prompt: 'Changed your mind?',
+    withdraw_link: 'Withdraw your verification and delete your data',
+    withdraw_hint: 'The link is valid for 24 hours; /unverify works any time.',
+    pending_title: 'Waiting for approval',
+    pending_body: 'Thanks, {name}. A moderator will review your verification; you will get the verified role once it is approved.',
+    retry_hint: 'Please click the Verify button in the server again.',
+
+    error_denied_title: 'Authorization cancelled',
+    error_denied: 'You cancelled the Discord authorization, so nothing was stored.',
+    error_code_expired_title: 'Authorization expired',
+    error_code_expired: 'Discord did not accept this authorization; it may have expired or been used already.',
+    error_missing_code_title: 'Incomplete authorization',
+    error_missing_code: 'Discord did not send an authorization code back.',
+    error_invalid_link_title: 'Invalid verification link',
+    error_invalid_link: 'This verification link is not valid.',
+    error_state_missing_title: 'Verification failed',
+    error_state_missing: 'This verification link is incomplete.',
+    error_state_invalid_title: 'Verification failed',
+    error_state_invalid: 'This verification link is not valid.',
+    error_state_expired_title: 'Verification expired',
+    error_state_expired: 'This verification attempt took too long and expired.',
+    error_state_mismatch_title: 'Verification failed',
+    error_state_mismatch: 'This verification attempt was started in a different browser. Start it again in this one.',
+    error_state_replayed_title: 'Verification failed',
+    error_state_replayed: 'This verification link has already been used.',
+    error_gate_title: 'Verification requirements not met',
+    error_approval_unavailable_title: 'Approval queue unavailable',
+    error_approval_unavailable: 'This server reviews verifications manually, but the review channel is not set up. Please contact the server staff.',
+    error_server_title: 'Something went wrong',
+    error_server: 'Verification failed because of a problem on our side. Please try again in a few minutes.',
+
+    gate_denylist: 'This account is not allowed to verify in this server.',
+    gate_account_age: 'Your Discord account must be at least {min} days old (it is {age} days old).',
+    gate_membership: 'You must join the server before verifying.'
+  },
+  de: {
+    success_title: 'Erfolgreich verifiziert!',
+    success_welcome: 'Willkommen, {name}',
+    success_note: 'Dein Discord-Konto wurde verifiziert.',
+    return_to_guild: 'Zurück zu {guild}',
+    return_to_discord: 'Zurück zu Discord',
+    withdraw_prompt: 'Meinung geändert?',
+    withdraw_link: 'Verifizierung zurückziehen und Daten löschen',
+    withdraw_hint: 'Der Link ist 24 Stunden gültig; /unverify funktioniert jederzeit.',
+    pending_title: 'Warte auf Freigabe',
+    pending_body: 'Danke, {name}. Ein Moderator prüft deine Verifizierung; du bekommst die Rolle, sobald sie freigegeben ist.',
+    retry_hint: 'Bitte klicke im Server erneut auf den Verifizieren-Button.',
+
+    error_denied_title: 'Autorisierung abgebrochen',
+    error_denied: 'Du hast die Discord-Autorisierung abgebrochen, daher wurde nichts gespeichert.',
+    error_code_expired_title: 'Autorisierung abgelaufen',
+    error_code_expired: 'Discord hat diese Autorisierung nicht akzeptiert; sie ist vielleicht abgelaufen oder wurde schon verwendet.',
+    error_missing_code_title: 'Unvollständige Autorisierung',
+    error_missing_code: 'Discord hat keinen Autorisierungscode zurückgeschickt.',
+    error_invalid_link_title: 'Ungültiger Verifizierungslink',
+    error_invalid_link: 'Dieser Verifizierungslink ist ungültig.',
+    error_state_missing_title: 'Verifizierung fehlgeschlagen',
+    error_state_missing: 'Dieser Verifizierungslink ist unvollständig.',
+    error_state_invalid_title: 'Verifizierung fehlgeschlagen',
+    error_state_invalid: 'Dieser Verifizierungslink ist ungültig.',
+    error_state_expired_title: 'Verifizierung abgelaufen',
+    error_state_expired: 'Dieser Verifizierungsversuch hat zu lange gedauert und ist abgelaufen.',
+    error_state_mismatch_title: 'Verifizierung fehlgeschlagen',
+    error_state_mismatch: 'Dieser Verifizierungsversuch wurde in einem anderen Browser gestartet. Starte ihn in diesem neu.',
+    error_state_replayed_title: 'Verifizierung fehlgeschlagen',
+    error_state_replayed: 'Dieser Verifizierungslink wurde bereits verwendet.',
+    error_gate_title: 'Voraussetzungen nicht erfüllt',
+    error_approval_unavailable_title: 'Freigabe nicht möglich',
+    error_approval_unavailable: 'Dieser Server prüft Verifizierungen manuell, aber der Prüfkanal ist nicht eingerichtet. Bitte wende dich an das Server-Team.',
+    error_server_title: 'Etwas ist schiefgelaufen',
+    error_server: 'Die Verifizierung ist wegen eines Problems auf unserer Seite fehlgeschlagen. Bitte versuche es in ein paar Minuten erneut.',
+
+    gate_denylist: 'Dieses Konto darf sich in diesem Server nicht verifizieren.',
+    gate_account_age: 'Dein Discord-Konto muss mindestens {min} Tage alt sein (es ist {age} Tage alt).',
+    gate_membership: 'Du musst dem Server beitreten, bevor du dich verifizierst.'
+  },
+  fr: {
+    success_title: 'Vérification réussie !',
+    success_welcome: 'Bienvenue, {name}',
+    success_note: 'Ton compte Discord a été vérifié.',
+    return_to_guild: 'Retour à {guild}',
+    return_to_discord: 'Retour à Discord',
+    withdraw_prompt: 'Tu as changé d’avis ?',
+    withdraw_link: 'Retirer ta vérification et supprimer tes données',
+    withdraw_hint: 'Le lien est valable 24 heures ; /unverify fonctionne à tout moment.',
+    pending_title: 'En attente de validation',
+    pending_body: 'Merci, {name}. Un modérateur va examiner ta vérification ; tu recevras le rôle une fois qu’elle sera approuvée.',
+    retry_hint: 'Clique à nouveau sur le bouton de vérification dans le serveur.',
+
+    error_denied_title: 'Autorisation annulée',
+    error_denied: 'Tu as annulé l’autorisation Discord, rien n’a donc été enregistré.',
+    error_code_expired_title: 'Autorisation expirée',
+    error_code_expired: 'Discord n’a pas accepté cette autorisation ; elle a peut-être expiré ou déjà été utilisée.',
+    error_missing_code_title: 'Autorisation incomplète',
+    error_missing_code: 'Discord n’a pas renvoyé de code d’autorisation.',
+    error_invalid_link_title: 'Lien de vérification invalide',
+    error_invalid_link: 'Ce lien de vérification n’est pas valide.',
+    error_state_missing_title: 'Échec de la vérification',
+    error_state_missing: 'Ce lien de vérification est incomplet.',
+    error_state_invalid_title: 'Échec de la vérification',
+    error_state_invalid: 'Ce lien de vérification n’est pas valide.',
+    error_state_expired_title: 'Vérification expirée',
+    error_state_expired: 'Cette tentative de vérification a pris trop de temps et a expiré.',
+    error_state_mismatch_title: 'Échec de la vérification',
+    error_state_mismatch: 'Cette tentative a été lancée dans un autre navigateur. Recommence-la dans celui-ci.',
+    error_state_replayed_title: 'Échec de la vérification',
+    error_state_replayed: 'Ce lien de vérification a déjà été utilisé.',
+    error_gate_title: 'Conditions de vérification non remplies',
+    error_approval_unavailable_title: 'File de validation indisponible',
+    error_approval_unavailable: 'Ce serveur valide les vérifications manuellement, mais le salon de validation n’est pas configuré. Contacte l’équipe du serveur.',
+    error_server_title: 'Une erreur est survenue',
+    error_server: 'La vérification a échoué à cause d’un problème de notre côté. Réessaie dans quelques minutes.',
+
+    gate_denylist: 'Ce compte n’est pas autorisé à se vérifier sur ce serveur.',
+    gate_account_age: 'Ton compte Discord doit avoir au moins {min} jours (il a {age} jours).',
+    gate_membership: 'Tu dois rejoindre le serveur avant de te vérifier.'
+  },
+  es: {
+    success_title: '¡Verificación completada!',
+    success_welcome: 'Bienvenido/a, {name}',
+    success_note: 'Tu cuenta de Discord ha sido verificada.',
+    return_to_guild: 'Volver a {guild}',
+    return_to_discord: 'Volver a Discord',
+    withdraw_prompt: '¿Has cambiado de opinión?',
+    withdraw_link: 'Retirar tu verificación y borrar tus datos',
+    withdraw_hint: 'El enlace es válido durante 24 horas; /unverify funciona en cualquier momento.',
+    pending_title: 'Esperando aprobación',
+    pending_body: 'Gracias, {name}. Un moderador revisará tu verificación; recibirás el rol cuando sea aprobada.',
+    retry_hint: 'Vuelve a pulsar el botón de verificación en el servidor.',
+
+    error_denied_title: 'Autorización cancelada',
+    error_denied: 'Cancelaste la autorización de Discord, así que no se guardó nada.',
+    error_code_expired_title: 'Autorización caducada',
+    error_code_expired: 'Discord no aceptó esta autorización; puede que haya caducado o ya se haya usado.',
+    error_missing_code_title: 'Autorización incompleta',
+    error_missing_code: 'Discord no devolvió un código de autorización.',
+    error_invalid_link_title: 'Enlace de verificación no válido',
+    error_invalid_link: 'Este enlace de verificación no es válido.',
+    error_state_missing_title: 'Verificación fallida',
+    error_state_missing: 'Este enlace de verificación está incompleto.',
+    error_state_invalid_title: 'Verificación fallida',
+    error_state_invalid: 'Este enlace de verificación no es válido.',
+    error_state_expired_title: 'Verificación caducada',
+    error_state_expired: 'Este intento de verificación tardó demasiado y caducó.',
+    error_state_mismatch_title: 'Verificación fallida',
+    error_state_mismatch: 'Este intento se inició en otro navegador. Vuelve a empezarlo en este.',
+    error_state_replayed_title: 'Verificación fallida',
+    error_state_replayed: 'Este enlace de verificación ya se ha usado.',
+    error_gate_title: 'No se cumplen los requisitos de verificación',
+    error_approval_unavailable_title: 'Cola de aprobación no disponible',
+    error_approval_unavailable: 'Este servidor revisa las verificaciones manualmente, pero el canal de revisión no está configurado. Contacta con el equipo del servidor.',
+    error_server_title: 'Algo salió mal',
+    error_server: 'La verificación falló por un problema de nuestra parte. Inténtalo de nuevo en unos minutos.',
+
+    gate_denylist: 'Esta cuenta no puede verificarse en este servidor.',
+    gate_account_age: 'Tu cuenta de Discord debe tener al menos {min} días (tiene {age} días).',
+    gate_membership: 'Debes unirte al servidor antes de verificarte.'
+  },
+  'pt-BR': {
+    success_title: 'Verificado com sucesso!',
+    success_welcome: 'Bem-vindo(a), {name}',
+    success_note: 'Sua conta do Discord foi verificada.',
+    return_to_guild: 'Voltar para {guild}',
+    return_to_discord: 'Voltar para o Discord',
+    withdraw_prompt: 'Mudou de ideia?',
+    withdraw_link: 'Retirar sua verificação e apagar seus dados',
+    withdraw_hint: 'O link vale por 24 horas; /unverify funciona a qualquer momento.',
+    pending_title: 'Aguardando aprovação',
+    pending_body: 'Obrigado, {name}. Um moderador vai revisar sua verificação; você receberá o cargo assim que ela for aprovada.',
+    retry_hint: 'Clique novamente no botão de verificação no servidor.',
+
+    error_denied_title: 'Autorização cancelada',
+    error_denied: 'Você cancelou a autorização do Discord, então nada foi salvo.',
+    error_code_expired_title: 'Autorização expirada',
+    error_code_expired: 'O Discord não aceitou esta autorização; ela pode ter expirado ou já ter sido usada.',
+    error_missing_code_title: 'Autorização incompleta',
+    error_missing_code: 'O Discord não enviou um código de autorização.',
+    error_invalid_link_title: 'Link de verificação inválido',
+    error_invalid_link: 'Este link de verificação não é válido.',
+    error_state_missing_title: 'Falha na verificação',
+    error_state_missing: 'Este link de verificação está incompleto.',
+    error_state_invalid_title: 'Falha na verificação',
+    error_state_invalid: 'Este link de verificação não é válido.',
+    error_state_expired_title: 'Verificação expirada',
+    error_state_expired: 'Esta tentativa de verificação demorou demais e expirou.',
+    error_state_mismatch_title: 'Falha na verificação',
+    error_state_mismatch: 'Esta tentativa foi iniciada em outro navegador. Comece de novo neste.',
+    error_state_replayed_title: 'Falha na verificação',
+    error_state_replayed: 'Este link de verificação já foi usado.',
+    error_gate_title: 'Requisitos de verificação não atendidos',
+    error_approval_unavailable_title: 'Fila de aprovação indisponível',
+    error_approval_unavailable: 'Este servidor revisa as verificações manualmente, mas o canal de revisão não está configurado. Fale com a equipe do servidor.',
+    error_server_title: 'Algo deu errado',
+    error_server: 'A verificação falhou por um problema do nosso lado. Tente novamente em alguns minutos.',
+
+    gate_denylist: 'Esta conta não pode se verificar neste servidor.',
+    gate_account_age: 'Sua conta do Discord precisa ter pelo menos {min} dias (ela tem {age} dias).',
+    gate_membership: 'Você precisa entrar no servidor antes de se verificar.'
+  }
+};
+
+export const PAGE_LOCALES = Object.keys(STRINGS);
+
+// Discord locale ("de", "es-ES", "pt-BR", "en-GB", ...) or an Accept-Language header -> supported locale
+export function pickLocale(...candidates) {
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    const tags = String(candidate).split(',').map(part => part.split(';')[0].trim()).filter(Boolean);
+    for (const tag of tags) {
+      const exact = PAGE_LOCALES.find(l => l.toLowerCase() === tag.toLowerCase());
+      if (exact) return exact;
+      const base = tag.split('-')[0].toLowerCase();
+      const sameLanguage = PAGE_LOCALES.find(l => l.split('-')[0].toLowerCase() === base);
+      if (sameLanguage) return sameLanguage;
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+function template(locale, key) {
+  return STRINGS[locale]?.[key] ?? STRINGS[DEFAULT_LOCALE][key] ?? key;
+}
+
+// Plain text for a key, with {placeholders} filled in from vars (escape it like any other text)
+export function t(locale, key, vars = {}) {
+  return template(locale, key).replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+// Escaped HTML for a key; vars are inserted as given, so they must already be safe HTML
+export function tHtml(locale, key, htmlVars = {}) {
+  return escapeHtml(template(locale, key)).replace(/\{(\w+)\}/g, (match, name) => (name in htmlVars ? htmlVars[name] : match));
+}